@@ -0,0 +1,31 @@
+import { scheduleJob } from './scheduler.js';
+import { snapshotAllPortfolios } from '../services/snapshotService.js';
+import { matchOpenOrders } from '../services/orderService.js';
+import { evaluateAlerts } from '../services/alertService.js';
+import { purgeDueAccounts } from '../services/accountService.js';
+import { runDuePlans } from '../services/recurringPlanService.js';
+import { runAutoRebalancing } from '../services/rebalanceService.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function intervalSetting(name, fallback, unit) {
+  const value = parseFloat(process.env[name]);
+  return (Number.isFinite(value) && value > 0 ? value : fallback) * unit;
+}
+
+// Register all background jobs. Set JOBS_ENABLED=false to run an API-only
+// instance when several servers share one database.
+export function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  scheduleJob('portfolio-snapshots', intervalSetting('SNAPSHOT_INTERVAL_MINUTES', 60, MINUTE), snapshotAllPortfolios);
+  scheduleJob('order-matching', intervalSetting('ORDER_MATCH_INTERVAL_SECONDS', 15, SECOND), matchOpenOrders);
+  scheduleJob('price-alerts', intervalSetting('ALERT_EVAL_INTERVAL_SECONDS', 60, SECOND), evaluateAlerts);
+  scheduleJob('recurring-buys', intervalSetting('RECURRING_PLAN_INTERVAL_SECONDS', 60, SECOND), runDuePlans);
+  scheduleJob('auto-rebalance', intervalSetting('REBALANCE_INTERVAL_MINUTES', 60, MINUTE), runAutoRebalancing);
+  scheduleJob('account-deletion', intervalSetting('ACCOUNT_PURGE_INTERVAL_MINUTES', 60, MINUTE), purgeDueAccounts);
+}
@@ -0,0 +1,53 @@
+// Minimal in-process interval scheduler for background jobs.
+// A job never overlaps with itself: if a run is still going when the next
+// tick fires, that tick is skipped.
+
+const jobs = new Map();
+
+export function scheduleJob(name, intervalMs, task) {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null };
+
+  job.run = async () => {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await task();
+      job.lastError = null;
+    } catch (err) {
+      job.lastError = err.message;
+      console.error(`Job ${name} failed:`, err);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  job.timer = setInterval(job.run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  return job;
+}
+
+export function stopJobs() {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+}
+
+// Job status for the admin/health endpoints
+export function getJobStatus() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastError
+  }));
+}
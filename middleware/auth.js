@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { getRestrictedActions } from '../services/verificationService.js';
+import { getActiveSession } from '../services/sessionService.js';
 
 const auth = async (req, res, next) => {
   try {
@@ -13,6 +15,15 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+
     const user = await User.findById(decoded.id);
 
     if (!user) {
@@ -22,11 +33,29 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.'
+      });
+    }
+
+    // Access tokens are only as good as the session they were issued for
+    const session = await getActiveSession(decoded.sid, user._id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.'
+      });
+    }
+
     req.user = {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role
+      role: user.role,
+      isVerified: user.isVerified,
+      sessionId: session._id
     };
 
     next();
@@ -58,5 +87,18 @@ export const adminMiddleware = (req, res, next) => {
   next();
 }
 
+// Block an action (e.g. 'trade', 'withdraw') for unverified accounts when the
+// UNVERIFIED_ACCOUNT_RESTRICTIONS policy lists it
+export const requireVerified = (action) => (req, res, next) => {
+  // Simulated trades risk nothing, so paper portfolios (see resolvePortfolio) are exempt
+  if (!req.user?.isVerified && !req.portfolio?.isPaper && getRestrictedActions().includes(action)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before continuing',
+      verificationRequired: true
+    });
+  }
+  next();
+};
 
 export default auth;
\ No newline at end of file
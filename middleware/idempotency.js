@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const MAX_KEY_LENGTH = 255;
+
+const retentionMs = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A request still 'processing' after this long is assumed to have died and may be retried
+const lockTimeoutMs = () => (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body ?? {})}`)
+    .digest('hex');
+}
+
+// Claim the key for this request. Returns the claimed record, or the existing
+// record when another request already holds or completed it.
+async function claimKey(userId, key, requestHash) {
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash,
+      expiresAt: new Date(Date.now() + retentionMs())
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) {
+    // Expired between the insert and the lookup; let the client retry
+    return { claimed: false, record: null };
+  }
+
+  const abandoned = existing.status === 'processing' &&
+    existing.requestHash === requestHash &&
+    Date.now() - existing.lockedAt.getTime() > lockTimeoutMs();
+  if (abandoned) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', lockedAt: existing.lockedAt },
+      { lockedAt: new Date() },
+      { new: true }
+    );
+    if (record) {
+      return { claimed: true, record };
+    }
+  }
+
+  return { claimed: false, record: existing };
+}
+
+// Honour an optional Idempotency-Key header (use after auth). The first request
+// with a key runs normally and its response is stored; retries with the same key
+// and payload get that response replayed instead of running again. Reusing a key
+// with a different payload is rejected with 422, and a retry that arrives while
+// the first request is still running gets 409. Server errors are not stored, so
+// those requests can be retried with the same key.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { claimed, record } = await claimKey(req.user.id, key, requestHash);
+
+    if (!claimed) {
+      if (record && record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (!record || record.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed, please retry shortly'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry never sees it as still running
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        );
+
+      stored
+        .catch(err => console.error('Idempotency key store error:', err.message))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export default idempotency;
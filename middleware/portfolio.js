@@ -0,0 +1,32 @@
+import Portfolio from '../models/Portfolio.js';
+
+// Load the portfolio a request is about into req.portfolio (use after auth). It is
+// named by `portfolioId` in the body or query string; without one the user's
+// default portfolio is used, or with { fallbackToDefault: false } req.portfolio
+// is left unset so the route can cover all of the user's portfolios.
+export const resolvePortfolio = ({ fallbackToDefault = true } = {}) => async (req, res, next) => {
+  try {
+    const portfolioId = req.body?.portfolioId ?? req.query.portfolioId;
+
+    if (!portfolioId && !fallbackToDefault) {
+      return next();
+    }
+
+    const portfolio = await Portfolio.findForUser(req.user.id, portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    req.portfolio = portfolio;
+    next();
+  } catch (error) {
+    console.error('Resolve portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+export const FEE_LIQUIDITY = ['maker', 'taker'];
+
+// Seeded when no schedule exists. The first tier keeps the historical flat 0.5% fee.
+const DEFAULT_SCHEDULE = {
+  name: 'default',
+  minimumFee: 0,
+  tiers: [
+    { name: 'Standard', minVolume: 0, makerRate: 0.005, takerRate: 0.005 },
+    { name: 'Silver', minVolume: 50000, makerRate: 0.0035, takerRate: 0.004 },
+    { name: 'Gold', minVolume: 250000, makerRate: 0.002, takerRate: 0.003 },
+    { name: 'Platinum', minVolume: 1000000, makerRate: 0.001, takerRate: 0.002 }
+  ]
+};
+
+const rate = {
+  type: Number,
+  required: true,
+  min: 0,
+  max: 0.1
+};
+
+// Rates for users whose 30-day trading volume (USD) is at least minVolume
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  minVolume: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  makerRate: rate,
+  takerRate: rate
+}, {
+  _id: false
+});
+
+// Fixed rates for one symbol, used instead of the tier rates
+const symbolRateSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  makerRate: rate,
+  takerRate: rate
+}, {
+  _id: false
+});
+
+// A time-limited discount, e.g. { discount: 1 } for a zero-fee week
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Fraction of the fee waived: 1 = free, 0.5 = half price
+  discount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Empty means every symbol
+  symbols: {
+    type: [String],
+    default: []
+  }
+});
+
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Floor applied to every non-zero fee, in USD
+  minimumFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tiers: {
+    type: [tierSchema],
+    validate: {
+      validator: tiers => tiers.length > 0 && tiers.some(tier => tier.minVolume === 0),
+      message: 'Fee schedule needs a tier starting at volume 0'
+    }
+  },
+  symbolRates: [symbolRateSchema],
+  promotions: [promotionSchema]
+}, {
+  timestamps: true
+});
+
+// The schedule in force, created from the defaults on first use
+feeScheduleSchema.statics.getActive = async function() {
+  const existing = await this.findOne({ name: DEFAULT_SCHEDULE.name });
+  if (existing) {
+    return existing;
+  }
+  return this.findOneAndUpdate(
+    { name: DEFAULT_SCHEDULE.name },
+    { $setOnInsert: DEFAULT_SCHEDULE },
+    { new: true, upsert: true }
+  );
+};
+
+export default mongoose.model('FeeSchedule', feeScheduleSchema);
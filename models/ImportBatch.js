@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_ROW_STATUSES = ['valid', 'invalid', 'duplicate', 'skipped'];
+
+const importRowSchema = new mongoose.Schema({
+  line: Number,
+  status: {
+    type: String,
+    enum: IMPORT_ROW_STATUSES,
+    required: true
+  },
+  validationErrors: [String],
+  warnings: [String],
+  type: String,
+  symbol: String,
+  name: String,
+  amount: Number,
+  price: Number,
+  fee: Number,
+  date: Date,
+  exchangeOrderId: String,
+  transactionHash: String,
+  notes: String
+}, {
+  _id: false
+});
+
+// A parsed CSV upload waiting for confirmation. The preview and the import work
+// on the same stored rows, so what the user confirmed is exactly what is applied.
+const importBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The portfolio the rows are imported into; the default one if unset
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  status: {
+    type: String,
+    enum: ['previewed', 'importing', 'completed', 'failed'],
+    default: 'previewed'
+  },
+  rows: [importRowSchema],
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Unconfirmed previews are removed once they expire
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, partialFilterExpression: { status: 'previewed' } });
+
+export default mongoose.model('ImportBatch', importBatchSchema);
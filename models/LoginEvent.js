@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const LOGIN_EVENT_REASONS = [
+  'success',
+  'invalid_password',
+  'invalid_2fa_code',
+  'account_locked'
+];
+
+const loginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: LOGIN_EVENT_REASONS,
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  device: String,
+  // ISO country code supplied by the proxy in front of the API, when available
+  country: String,
+  // Set on successful logins that did not match any earlier successful login
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  newCountry: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+
+// Login history is kept for a year
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+export default mongoose.model('LoginEvent', loginEventSchema);
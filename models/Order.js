@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+export const ORDER_TYPES = ['limit', 'stop_loss', 'take_profit', 'stop_limit'];
+export const OPEN_ORDER_STATUSES = ['open', 'triggered'];
+
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Portfolio the order settles in; absent on orders from before multiple portfolios (default one)
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  side: {
+    type: String,
+    required: true,
+    enum: ['buy', 'sell']
+  },
+  orderType: {
+    type: String,
+    required: true,
+    enum: ORDER_TYPES
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Worst price the order may fill at (limit and stop_limit orders)
+  limitPrice: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.orderType === 'limit' || this.orderType === 'stop_limit';
+    }
+  },
+  // Price that activates the order (stop_loss, take_profit and stop_limit orders)
+  stopPrice: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.orderType !== 'limit';
+    }
+  },
+  timeInForce: {
+    type: String,
+    enum: ['gtc', 'gtd'],
+    default: 'gtc'
+  },
+  expiresAt: {
+    type: Date,
+    required: function() {
+      return this.timeInForce === 'gtd';
+    }
+  },
+  // open -> (triggered ->) filled, or cancelled / expired / rejected
+  status: {
+    type: String,
+    enum: ['open', 'triggered', 'filled', 'cancelled', 'expired', 'rejected'],
+    default: 'open'
+  },
+  // The pending Transaction created when the order was placed
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  triggeredAt: Date,
+  filledAt: Date,
+  filledPrice: Number,
+  rejectReason: String
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+orderSchema.index({ status: 1, symbol: 1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Order', orderSchema);
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 
+// Currency the cash balance is held in
+export const CASH_SYMBOL = 'USDT';
+export const CASH_NAME = 'Tether';
+
+// Real portfolios hold the user's money; paper portfolios trade a simulated
+// balance at live prices and are kept out of real balances and reports
+export const PORTFOLIO_KINDS = ['real', 'paper'];
+
 const holdingSchema = new mongoose.Schema({
   symbol: {
     type: String,
@@ -37,14 +45,84 @@ const holdingSchema = new mongoose.Schema({
   _id: false
 });
 
+// Desired share of the portfolio's total value (cash included) held in one asset
+const targetAllocationSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Percent of total value; whatever the targets leave unallocated is kept in cash
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, {
+  _id: false
+});
+
+// Keep cash arithmetic from drifting below zero on float rounding
+const roundCash = value => Math.round(value * 1e8) / 1e8;
+
 const portfolioSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
     required: true,
-    unique: true
+    trim: true,
+    maxlength: [50, 'Portfolio name cannot be more than 50 characters'],
+    default: 'Main'
+  },
+  // Each user has exactly one default portfolio, used when a request names none
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  kind: {
+    type: String,
+    enum: PORTFOLIO_KINDS,
+    default: 'real'
+  },
+  // Paper portfolios only
+  paper: {
+    // Simulated cash the portfolio started with at its last reset
+    startingBalance: Number,
+    resetAt: Date,
+    showOnLeaderboard: {
+      type: Boolean,
+      default: false
+    }
   },
   holdings: [holdingSchema],
+  // Spendable fiat/USDT balance: deposits and sale proceeds credit it, withdrawals and buys debit it
+  cashBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  targetAllocations: [targetAllocationSchema],
+  // Rebalance automatically once any asset drifts this many percentage points from its target
+  autoRebalance: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    driftThreshold: {
+      type: Number,
+      default: 5,
+      min: 0.1,
+      max: 100
+    }
+  },
+  lastRebalancedAt: Date,
+  // When the snapshot history was last rebuilt from transactions
+  lastBackfilledAt: Date,
   totalValue: {
     type: Number,
     default: 0
@@ -66,9 +144,66 @@ const portfolioSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves fail with a VersionError if another request changed the portfolio first
+  optimisticConcurrency: true
 });
 
+portfolioSchema.index({ userId: 1, name: 1 }, { unique: true });
+portfolioSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true }, name: 'userId_default' });
+portfolioSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { kind: 'paper' }, name: 'userId_paper' });
+
+portfolioSchema.virtual('isPaper').get(function() {
+  return this.kind === 'paper';
+});
+
+// Find the user's default portfolio, creating an empty one atomically if missing
+portfolioSchema.statics.findOrCreateForUser = function(userId, { session } = {}) {
+  return this.findOneAndUpdate(
+    { userId, isDefault: true },
+    { $setOnInsert: { userId, name: 'Main', isDefault: true, holdings: [] } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+};
+
+// A portfolio of the user's by id, or their default one without an id. Null if
+// the id does not name one of the user's portfolios.
+portfolioSchema.statics.findForUser = function(userId, portfolioId, { session } = {}) {
+  if (!portfolioId) {
+    return this.findOrCreateForUser(userId, { session });
+  }
+  if (!mongoose.isValidObjectId(portfolioId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: portfolioId, userId }).session(session || null);
+};
+
+// Before portfolios had names a user could only have one, under a unique userId
+// index. Mark those portfolios as their owner's default, drop that index and build
+// the new ones. Run once with `npm run migrate:portfolios`; other indexes are left alone.
+portfolioSchema.statics.migrateToMultiplePortfolios = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { isDefault: { $exists: false } },
+    { $set: { isDefault: true, name: 'Main' } }
+  );
+
+  const indexes = await this.collection.indexes();
+  if (indexes.some(index => index.name === 'userId_1')) {
+    await this.collection.dropIndex('userId_1');
+  }
+  await this.createIndexes();
+
+  return modifiedCount;
+};
+
+// Filter on `portfolioId` for records that belong to this portfolio. Records
+// from before multiple portfolios carry no portfolioId and belong to the default.
+portfolioSchema.methods.scopeFilter = function() {
+  return this.isDefault
+    ? { portfolioId: { $in: [this._id, null] } }
+    : { portfolioId: this._id };
+};
+
 // Calculate portfolio totals
 portfolioSchema.methods.calculateTotals = function() {
   let totalValue = 0;
@@ -117,6 +252,8 @@ portfolioSchema.methods.addOrUpdateHolding = function(symbol, name, amount, pric
         this.holdings = this.holdings.filter(h => h.symbol !== symbol.toUpperCase());
       }
     }
+  } else if (type === 'sell') {
+    throw new Error('Insufficient holdings to sell');
   } else if (type === 'buy') {
     // Add new holding
     this.holdings.push({
@@ -131,6 +268,22 @@ portfolioSchema.methods.addOrUpdateHolding = function(symbol, name, amount, pric
   return this.calculateTotals();
 };
 
+// Credit cash (deposits, sale proceeds)
+portfolioSchema.methods.creditCash = function(amount) {
+  this.cashBalance = roundCash(this.cashBalance + amount);
+  return this;
+};
+
+// Debit cash (withdrawals, purchases)
+portfolioSchema.methods.debitCash = function(amount) {
+  if (roundCash(this.cashBalance - amount) < 0) {
+    throw new Error('Insufficient cash balance');
+  }
+
+  this.cashBalance = roundCash(this.cashBalance - amount);
+  return this;
+};
+
 // Update current prices for all holdings
 portfolioSchema.methods.updateCurrentPrices = function(priceData) {
   this.holdings.forEach(holding => {
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const snapshotHoldingSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  invested: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const portfolioSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Absent on snapshots from before multiple portfolios, which belong to the default one
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  takenAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  totalValue: {
+    type: Number,
+    default: 0
+  },
+  totalInvested: {
+    type: Number,
+    default: 0
+  },
+  holdings: [snapshotHoldingSchema],
+  source: {
+    type: String,
+    enum: ['scheduled', 'trade', 'backfill'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+portfolioSnapshotSchema.index({ userId: 1, takenAt: 1 });
+portfolioSnapshotSchema.index({ portfolioId: 1, takenAt: 1 });
+
+const BUCKET_UNITS = {
+  hourly: 'hour',
+  daily: 'day',
+  weekly: 'week'
+};
+
+export const SNAPSHOT_INTERVALS = Object.keys(BUCKET_UNITS);
+
+// Downsample a portfolio's snapshots into hourly/daily/weekly buckets,
+// keeping the last snapshot in each bucket
+portfolioSnapshotSchema.statics.getSeries = function(userId, portfolio, options = {}) {
+  const { interval = 'daily', startDate, endDate } = options;
+
+  const match = { userId: new mongoose.Types.ObjectId(userId), ...portfolio.scopeFilter() };
+  if (startDate || endDate) {
+    match.takenAt = {};
+    if (startDate) match.takenAt.$gte = new Date(startDate);
+    if (endDate) match.takenAt.$lte = new Date(endDate);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { takenAt: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$takenAt', unit: BUCKET_UNITS[interval], startOfWeek: 'monday' } },
+        takenAt: { $last: '$takenAt' },
+        totalValue: { $last: '$totalValue' },
+        totalInvested: { $last: '$totalInvested' },
+        holdings: { $last: '$holdings' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+export default mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
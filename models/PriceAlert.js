@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const ALERT_KINDS = ['price_above', 'price_below', 'percent_change', 'holding_pnl'];
+
+const triggerSchema = new mongoose.Schema({
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  price: Number,
+  // The measured value that crossed the threshold (price, % move or % P&L)
+  value: Number,
+  message: String,
+  channels: [String]
+}, {
+  _id: false
+});
+
+const priceAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // For holding_pnl: the portfolio whose holding is watched. Alerts from before
+  // named portfolios have none and watch the default one.
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // price_above / price_below: threshold is a price.
+  // percent_change: threshold is a % move within windowMinutes.
+  // holding_pnl: threshold is a % gain/loss on the user's holding versus its average price.
+  kind: {
+    type: String,
+    required: true,
+    enum: ALERT_KINDS
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // For percent_change and holding_pnl: fire on a rise, a fall, or either
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'either'],
+    default: 'either'
+  },
+  windowMinutes: {
+    type: Number,
+    min: 1,
+    max: 7 * 24 * 60,
+    required: function() {
+      return this.kind === 'percent_change';
+    }
+  },
+  note: {
+    type: String,
+    maxlength: 200
+  },
+  // Alerts fire once; re-arm by setting status back to active
+  status: {
+    type: String,
+    enum: ['active', 'triggered', 'disabled'],
+    default: 'active'
+  },
+  triggers: [triggerSchema],
+  lastEvaluatedAt: Date
+}, {
+  timestamps: true
+});
+
+priceAlertSchema.index({ status: 1, symbol: 1 });
+priceAlertSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('PriceAlert', priceAlertSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Assets seeded into an empty registry so a fresh database can price the common coins
+const DEFAULT_ASSETS = [
+  { symbol: 'BTC', name: 'Bitcoin', providerIds: { coingecko: 'bitcoin' } },
+  { symbol: 'ETH', name: 'Ethereum', providerIds: { coingecko: 'ethereum' } },
+  { symbol: 'BNB', name: 'BNB', providerIds: { coingecko: 'binancecoin' } },
+  { symbol: 'SOL', name: 'Solana', providerIds: { coingecko: 'solana' } },
+  { symbol: 'ADA', name: 'Cardano', providerIds: { coingecko: 'cardano' } },
+  { symbol: 'DOT', name: 'Polkadot', providerIds: { coingecko: 'polkadot' } }
+];
+
+const priceAssetSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Provider name -> the id that provider uses for this asset (e.g. coingecko -> 'bitcoin')
+  providerIds: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Seed the registry with the default assets if it is empty
+priceAssetSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count === 0) {
+    await this.insertMany(DEFAULT_ASSETS, { ordered: false }).catch(() => {});
+  }
+};
+
+// Get active assets keyed by symbol
+priceAssetSchema.statics.getActiveAssets = async function() {
+  await this.ensureDefaults();
+  const assets = await this.find({ active: true }).lean();
+
+  return assets.reduce((map, asset) => {
+    map[asset.symbol] = asset;
+    return map;
+  }, {});
+};
+
+export default mongoose.model('PriceAsset', priceAssetSchema);
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const PLAN_CADENCES = ['daily', 'weekly', 'biweekly', 'monthly'];
+export const PLAN_SKIP_REASONS = ['insufficient_funds', 'price_unavailable', 'trade_rejected', 'account_restricted', 'error'];
+
+const runSchema = new mongoose.Schema({
+  // The occurrence this run was for
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  ranAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['executed', 'skipped']
+  },
+  reason: {
+    type: String,
+    enum: PLAN_SKIP_REASONS
+  },
+  message: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  price: Number,
+  amount: Number,
+  fee: Number
+}, {
+  _id: false
+});
+
+// A recurring buy of a fixed fiat amount of one asset ("$50 of BTC every Monday").
+// Occurrences are counted from startAt in UTC: the first run is at startAt and
+// each later one a cadence after it.
+const recurringPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The portfolio the buys are made in; plans from before named portfolios
+  // have none and buy in the default one
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Cash spent per run, fee included
+  fiatAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  cadence: {
+    type: String,
+    required: true,
+    enum: PLAN_CADENCES
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  // No runs are scheduled after this moment
+  endAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  // Unset while paused or ended
+  nextRunAt: Date,
+  lastRunAt: Date,
+  // Most recent runs, newest last
+  runs: [runSchema]
+}, {
+  timestamps: true
+});
+
+recurringPlanSchema.index({ status: 1, nextRunAt: 1 });
+recurringPlanSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('RecurringPlan', recurringPlanSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means
+  // the token was copied, so the whole session is revoked
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'password_reset', 'password_change', 'token_reuse', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
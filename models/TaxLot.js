@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const COST_BASIS_METHODS = ['fifo', 'lifo', 'hifo', 'average'];
+
+// A quantity of an asset acquired in one buy. Sells consume lots according to the
+// user's cost-basis method; the cost of the consumed part is the sale's cost basis.
+const taxLotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Absent on lots from before multiple portfolios, which belong to the default one
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  // Buy (or incoming transfer) that opened the lot; absent for lots created from
+  // holdings that predate lot tracking
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // 'transfer' lots were moved from another of the user's portfolios and keep
+  // the original acquisition date and cost
+  source: {
+    type: String,
+    enum: ['trade', 'legacy', 'transfer'],
+    default: 'trade'
+  },
+  originalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remainingAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Purchase price plus the buy fee, per unit
+  costPerUnit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+taxLotSchema.index({ userId: 1, symbol: 1, closedAt: 1, acquiredAt: 1 });
+
+export default mongoose.model('TaxLot', taxLotSchema);
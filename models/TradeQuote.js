@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A firm price offered to one user for a short time. Executing it fills the
+// trade at exactly these terms; each quote can be used once.
+const tradeQuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The portfolio the trade settles in
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  priceSource: String,
+  // HMAC over the terms, so a quote altered after issue is refused
+  signature: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+// Quotes are kept a day after expiry for support questions, then removed
+tradeQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('TradeQuote', tradeQuoteSchema);
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { COST_BASIS_METHODS } from './TaxLot.js';
+import { CASH_SYMBOL } from './Portfolio.js';
+
+export const TRANSACTION_TYPES = ['buy', 'sell', 'deposit', 'withdrawal', 'transfer_in', 'transfer_out'];
+export const TRANSFER_TYPES = ['transfer_in', 'transfer_out'];
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -6,10 +11,20 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Absent on transactions from before multiple portfolios, which belong to the default one
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  // Trades in a paper portfolio: filled at live prices but with simulated money
+  simulated: {
+    type: Boolean,
+    default: false
+  },
   type: {
     type: String,
     required: true,
-    enum: ['buy', 'sell', 'deposit', 'withdrawal'],
+    enum: TRANSACTION_TYPES,
     lowercase: true
   },
   symbol: {
@@ -37,6 +52,15 @@ const transactionSchema = new mongoose.Schema({
     },
     min: 0
   },
+  // Price the client saw when submitting the trade (executed price lives in `price`)
+  quotedPrice: {
+    type: Number,
+    min: 0
+  },
+  priceSource: {
+    type: String,
+    trim: true
+  },
   fee: {
     type: Number,
     default: 0,
@@ -63,11 +87,69 @@ const transactionSchema = new mongoose.Schema({
   exchangeOrderId: {
     type: String,
     sparse: true
+  },
+  // When the trade was filled; createdAt is when an order's pending transaction was placed
+  executedAt: Date,
+  // Sells only: cost of the lots consumed, and net proceeds minus that cost
+  costBasis: Number,
+  realizedGain: Number,
+  costBasisMethod: {
+    type: String,
+    enum: COST_BASIS_METHODS
+  },
+  lotsConsumed: [{
+    _id: false,
+    lotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxLot'
+    },
+    acquiredAt: Date,
+    amount: Number,
+    costPerUnit: Number
+  }],
+  // 'import' for trades mirrored from another exchange's CSV (those never touch
+  // cash), 'admin' for trades recorded by an administrator
+  source: {
+    type: String,
+    enum: ['app', 'import', 'admin'],
+    default: 'app'
+  },
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Set when the trade was a run of a recurring buy plan
+  recurringPlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringPlan'
+  },
+  // Set when the trade executed a price quote
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TradeQuote'
+  },
+  // Set when the transaction was created by a limit/stop order
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Both legs of a transfer between the user's portfolios share a transferId;
+  // counterpartyPortfolioId is the portfolio on the other side
+  transferId: mongoose.Schema.Types.ObjectId,
+  counterpartyPortfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio'
   }
 }, {
   timestamps: true
 });
 
+transactionSchema.index({ userId: 1, portfolioId: 1, createdAt: -1 });
+
+// Duplicate detection for imports
+transactionSchema.index({ userId: 1, exchangeOrderId: 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, transactionHash: 1 }, { sparse: true });
+
 // Calculate total before saving
 transactionSchema.pre('save', function(next) {
   if (this.type === 'buy') {
@@ -78,19 +160,13 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get user transaction history
-transactionSchema.statics.getUserTransactions = function(userId, options = {}) {
-  const {
-    page = 1,
-    limit = 50,
-    type,
-    symbol,
-    status,
-    startDate,
-    endDate
-  } = options;
+// Query for a user's transactions matching the list/export filters; `portfolio`
+// (a Portfolio document) limits it to that portfolio
+transactionSchema.statics.buildUserQuery = function(userId, filters = {}) {
+  const { portfolio, type, symbol, status, startDate, endDate } = filters;
 
-  const query = { userId };
+  // Simulated trades only show up when their paper portfolio is asked for
+  const query = portfolio ? { userId, ...portfolio.scopeFilter() } : { userId, simulated: { $ne: true } };
 
   if (type) query.type = type;
   if (symbol) query.symbol = symbol.toUpperCase();
@@ -101,14 +177,23 @@ transactionSchema.statics.getUserTransactions = function(userId, options = {}) {
     if (endDate) query.createdAt.$lte = new Date(endDate);
   }
 
+  return query;
+};
+
+// Static method to get user transaction history
+transactionSchema.statics.getUserTransactions = function(userId, options = {}) {
+  const { page = 1, limit = 50 } = options;
+  const query = this.buildUserQuery(userId, options);
+
   return this.find(query)
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
 };
 
-// Static method to get transaction stats
-transactionSchema.statics.getTransactionStats = function(userId, period = 30) {
+// Static method to get transaction stats, optionally for one portfolio and
+// leaving out transactions from some sources (e.g. 'import')
+transactionSchema.statics.getTransactionStats = function(userId, period = 30, portfolio, { excludeSources = [] } = {}) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - period);
 
@@ -116,6 +201,8 @@ transactionSchema.statics.getTransactionStats = function(userId, period = 30) {
     {
       $match: {
         userId: new mongoose.Types.ObjectId(userId),
+        ...(portfolio ? portfolio.scopeFilter() : { simulated: { $ne: true } }),
+        ...(excludeSources.length > 0 && { source: { $nin: excludeSources } }),
         createdAt: { $gte: startDate },
         status: 'completed'
       }
@@ -130,4 +217,18 @@ transactionSchema.statics.getTransactionStats = function(userId, period = 30) {
   ]);
 };
 
+// Completed transactions that changed a portfolio's asset holdings: trades and
+// asset transfers between portfolios (cash transfers are left out)
+transactionSchema.statics.holdingHistoryQuery = function(userId, portfolio) {
+  return {
+    userId,
+    ...portfolio.scopeFilter(),
+    status: 'completed',
+    $or: [
+      { type: { $in: ['buy', 'sell'] } },
+      { type: { $in: TRANSFER_TYPES }, symbol: { $ne: CASH_SYMBOL } }
+    ]
+  };
+};
+
 export default mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { COST_BASIS_METHODS } from './TaxLot.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -49,6 +50,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  // SHA-256 hashes of unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last TOTP time step accepted, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -61,12 +72,33 @@ const userSchema = new mongoose.Schema({
     marketingEmails: {
       type: Boolean,
       default: false
+    },
+    // How sells pick the lots they consume (fifo, lifo, hifo or average)
+    costBasisMethod: {
+      type: String,
+      enum: COST_BASIS_METHODS,
+      default: 'fifo'
     }
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Tokens issued before this moment are rejected (set on password reset)
+  passwordChangedAt: Date,
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  // Consecutive failed sign-in attempts; reset by a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Set while an account deletion is pending; the data is purged after deletionScheduledFor
+  deletionRequestedAt: Date,
+  deletionScheduledFor: {
+    type: Date,
+    index: { sparse: true }
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -79,7 +111,7 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(12);
@@ -99,6 +131,18 @@ userSchema.methods.getSignedJwtToken = function() {
   });
 };
 
+// Was the password changed after a token with this `iat` (seconds) was issued?
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = Date.now();
@@ -1,8 +1,15 @@
 import express from "express";
 import auth, { adminMiddleware } from "../middleware/auth.js";
+import idempotency from "../middleware/idempotency.js";
 import User from "../models/User.js";
 import Portfolio from "../models/Portfolio.js";
 import Transaction from "../models/Transaction.js";
+import PriceAsset from "../models/PriceAsset.js";
+import { invalidateAssetRegistry } from "../services/priceService.js";
+import { getJobStatus } from "../jobs/scheduler.js";
+import { deposit, withdraw } from "../services/cashService.js";
+import FeeSchedule from "../models/FeeSchedule.js";
+import { quoteFee, invalidateFeeSchedule } from "../services/feeService.js";
 
 const router = express.Router();
 
@@ -22,11 +29,11 @@ router.get("/users", async (req, res) => {
 // 📌 Get a user portfolio
 router.get("/portfolio/:userId", async (req, res) => {
   try {
-    const portfolio = await Portfolio.findOne({ userId: req.params.userId });
-    if (!portfolio) {
+    const portfolios = await Portfolio.find({ userId: req.params.userId }).sort({ createdAt: 1 });
+    if (portfolios.length === 0) {
       return res.status(404).json({ success: false, message: "Portfolio not found" });
     }
-    res.json({ success: true, portfolio });
+    res.json({ success: true, portfolio: portfolios.find(p => p.isDefault) || portfolios[0], portfolios });
   } catch (error) {
     res.status(500).json({ success: false, message: "Error fetching portfolio", error: error.message });
   }
@@ -36,10 +43,10 @@ router.get("/portfolio/:userId", async (req, res) => {
 router.post("/portfolio/:userId/holdings", async (req, res) => {
   try {
     const { symbol, name, amount, price, type } = req.body;
-    let portfolio = await Portfolio.findOne({ userId: req.params.userId });
+    const portfolio = await Portfolio.findForUser(req.params.userId, req.body.portfolioId);
 
     if (!portfolio) {
-      portfolio = new Portfolio({ userId: req.params.userId, holdings: [] });
+      return res.status(404).json({ success: false, message: "Portfolio not found" });
     }
 
     portfolio.addOrUpdateHolding(symbol, name, amount, price, type);
@@ -52,9 +59,24 @@ router.post("/portfolio/:userId/holdings", async (req, res) => {
 });
 
 // 📌 Admin can create a transaction
-router.post("/transactions", async (req, res) => {
+router.post("/transactions", idempotency, async (req, res) => {
   try {
-    const { userId, type, symbol, name, amount, price, fee, notes } = req.body;
+    const { userId, type, symbol, name, amount, price, notes } = req.body;
+
+    // Cash movements go through the ledger so the user's balance stays in step
+    if (type === "deposit" || type === "withdrawal") {
+      const movement = type === "deposit" ? deposit : withdraw;
+      try {
+        const { transaction } = await movement(userId, Number(amount), { notes });
+        return res.status(201).json({ success: true, transaction });
+      } catch (ledgerError) {
+        if (!ledgerError.status) throw ledgerError;
+        return res.status(ledgerError.status).json({ success: false, message: ledgerError.message });
+      }
+    }
+
+    // Trades are charged from the fee schedule like any other trade
+    const { fee } = await quoteFee(userId, { symbol, amount: Number(amount), price: Number(price) });
 
     const transaction = new Transaction({
       userId,
@@ -64,8 +86,9 @@ router.post("/transactions", async (req, res) => {
       amount,
       price,
       fee,
-      total: (type === "buy" ? amount * price + (fee || 0) : amount * price - (fee || 0)),
+      total: (type === "buy" ? amount * price + fee : amount * price - fee),
       status: "completed",
+      source: "admin",
       notes
     });
 
@@ -76,4 +99,134 @@ router.post("/transactions", async (req, res) => {
   }
 });
 
+// 📌 List the price asset registry
+router.get("/assets", async (req, res) => {
+  try {
+    await PriceAsset.ensureDefaults();
+    const assets = await PriceAsset.find().sort({ symbol: 1 });
+    res.json({ success: true, assets });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error fetching assets", error: error.message });
+  }
+});
+
+// 📌 Add or update an asset and its provider ids (e.g. { coingecko: "bitcoin" })
+router.put("/assets/:symbol", async (req, res) => {
+  try {
+    const { name, providerIds, active } = req.body;
+    const symbol = req.params.symbol.toUpperCase();
+
+    if (!name && !(await PriceAsset.exists({ symbol }))) {
+      return res.status(400).json({ success: false, message: "Name is required for a new asset" });
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (providerIds !== undefined) update.providerIds = providerIds;
+    if (active !== undefined) update.active = active;
+
+    const asset = await PriceAsset.findOneAndUpdate(
+      { symbol },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    invalidateAssetRegistry();
+
+    res.json({ success: true, asset });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error saving asset", error: error.message });
+  }
+});
+
+// 📌 Get the fee schedule
+router.get("/fees", async (req, res) => {
+  try {
+    const schedule = await FeeSchedule.getActive();
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error fetching fee schedule", error: error.message });
+  }
+});
+
+// 📌 Update tiers, per-symbol rates and the minimum fee
+router.put("/fees", async (req, res) => {
+  try {
+    const { tiers, symbolRates, minimumFee } = req.body;
+    const schedule = await FeeSchedule.getActive();
+
+    if (tiers !== undefined) schedule.tiers = tiers;
+    if (symbolRates !== undefined) schedule.symbolRates = symbolRates;
+    if (minimumFee !== undefined) schedule.minimumFee = minimumFee;
+
+    try {
+      await schedule.save();
+    } catch (validationError) {
+      if (validationError.name !== "ValidationError") throw validationError;
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+    invalidateFeeSchedule();
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error saving fee schedule", error: error.message });
+  }
+});
+
+// 📌 Add a promotion, e.g. { name, discount: 1, startsAt, endsAt, symbols: ["BTC"] }
+router.post("/fees/promotions", async (req, res) => {
+  try {
+    const { name, discount, startsAt, endsAt, symbols } = req.body;
+
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      return res.status(400).json({ success: false, message: "Promotion must end after it starts" });
+    }
+
+    const schedule = await FeeSchedule.getActive();
+    schedule.promotions.push({
+      name,
+      discount,
+      startsAt,
+      endsAt,
+      symbols: (symbols || []).map(symbol => String(symbol).toUpperCase())
+    });
+
+    try {
+      await schedule.save();
+    } catch (validationError) {
+      if (validationError.name !== "ValidationError") throw validationError;
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+    invalidateFeeSchedule();
+
+    res.status(201).json({ success: true, promotion: schedule.promotions[schedule.promotions.length - 1] });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error saving promotion", error: error.message });
+  }
+});
+
+// 📌 End and remove a promotion
+router.delete("/fees/promotions/:id", async (req, res) => {
+  try {
+    const schedule = await FeeSchedule.getActive();
+    const promotion = schedule.promotions.id(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    }
+
+    promotion.deleteOne();
+    await schedule.save();
+    invalidateFeeSchedule();
+
+    res.json({ success: true, message: "Promotion removed" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error removing promotion", error: error.message });
+  }
+});
+
+// 📌 Background job status
+router.get("/jobs", (req, res) => {
+  res.json({ success: true, jobs: getJobStatus() });
+});
+
 export default router;
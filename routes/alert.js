@@ -0,0 +1,233 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import auth from '../middleware/auth.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
+import PriceAlert, { ALERT_KINDS } from '../models/PriceAlert.js';
+import User from '../models/User.js';
+
+const router = express.Router();
+
+const MAX_ALERTS_PER_USER = 100;
+
+const validateAlert = [
+  body('symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('kind').isIn(ALERT_KINDS).withMessage(`Kind must be one of ${ALERT_KINDS.join(', ')}`),
+  body('threshold').isFloat({ min: 0 }).withMessage('Threshold must be a non-negative number'),
+  body('direction').optional().isIn(['up', 'down', 'either']).withMessage('Direction must be up, down or either'),
+  body('windowMinutes')
+    .if(body('kind').equals('percent_change'))
+    .isInt({ min: 1, max: 7 * 24 * 60 }).withMessage('Window must be between 1 minute and 7 days'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot be more than 200 characters')
+];
+
+const validateAlertUpdate = [
+  body('threshold').optional().isFloat({ min: 0 }).withMessage('Threshold must be a non-negative number'),
+  body('direction').optional().isIn(['up', 'down', 'either']).withMessage('Direction must be up, down or either'),
+  body('windowMinutes').optional().isInt({ min: 1, max: 7 * 24 * 60 }).withMessage('Window must be between 1 minute and 7 days'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot be more than 200 characters'),
+  body('status').optional().isIn(['active', 'disabled']).withMessage('Status must be active or disabled')
+];
+
+const formatAlert = alert => ({
+  id: alert._id,
+  portfolioId: alert.portfolioId,
+  symbol: alert.symbol,
+  kind: alert.kind,
+  threshold: alert.threshold,
+  direction: alert.direction,
+  windowMinutes: alert.windowMinutes,
+  note: alert.note,
+  status: alert.status,
+  triggers: alert.triggers,
+  lastEvaluatedAt: alert.lastEvaluatedAt,
+  createdAt: alert.createdAt
+});
+
+// @route   GET /api/alerts
+// @desc    List the user's price alerts
+// @access  Private
+router.get('/', auth, [
+  query('status').optional().isIn(['active', 'triggered', 'disabled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.symbol) filter.symbol = req.query.symbol.toUpperCase();
+
+    const [alerts, user] = await Promise.all([
+      PriceAlert.find(filter).sort({ createdAt: -1 }),
+      User.findById(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      alertsEnabled: user.preferences.priceAlerts,
+      alerts: alerts.map(formatAlert)
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/alerts
+// @desc    Create a price alert. holding_pnl alerts watch the holding in the portfolio
+//          named by portfolioId, or in the default portfolio without one.
+// @access  Private
+router.post('/', auth, resolvePortfolio(), validateAlert, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const count = await PriceAlert.countDocuments({ userId: req.user.id, status: { $ne: 'disabled' } });
+    if (count >= MAX_ALERTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ALERTS_PER_USER} alerts`
+      });
+    }
+
+    const { symbol, kind, threshold, direction, windowMinutes, note } = req.body;
+
+    const alert = await PriceAlert.create({
+      userId: req.user.id,
+      portfolioId: kind === 'holding_pnl' ? req.portfolio._id : undefined,
+      symbol,
+      kind,
+      threshold,
+      direction,
+      windowMinutes: kind === 'percent_change' ? windowMinutes : undefined,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert created successfully',
+      alert: formatAlert(alert)
+    });
+  } catch (error) {
+    console.error('Create alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/alerts/:id
+// @desc    Get a price alert with its trigger history
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      alert: formatAlert(alert)
+    });
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/alerts/:id
+// @desc    Update an alert; setting status to active re-arms a triggered alert
+// @access  Private
+router.put('/:id', auth, validateAlertUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await PriceAlert.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    ['threshold', 'direction', 'windowMinutes', 'note', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        alert[field] = req.body[field];
+      }
+    });
+    await alert.save();
+
+    res.json({
+      success: true,
+      message: 'Alert updated successfully',
+      alert: formatAlert(alert)
+    });
+  } catch (error) {
+    console.error('Update alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/alerts/:id
+// @desc    Delete a price alert
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
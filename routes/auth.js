@@ -1,20 +1,41 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
+import auth from '../middleware/auth.js';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 import User from '../models/User.js';
 import Portfolio from '../models/Portfolio.js';
+import { deposit } from '../services/cashService.js';
+import { generateChallengeToken } from '../services/tokenService.js';
+import { createSession, rotateRefreshToken, getActiveSession, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import { sendPasswordResetEmail, sendPasswordChangedEmail } from '../services/emails.js';
+import { issueEmailVerification, getResendWaitSeconds } from '../services/verificationService.js';
+import {
+  getLockWaitSeconds,
+  recordLockedAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} from '../services/loginSecurityService.js';
+import { createToken, hashToken } from '../utils/tokens.js';
 
 const router = express.Router();
 
-// Rate limiting for auth routes
+// Rate limiting for login. Guessing against a single account is stopped by the
+// per-account lockout, so this only needs to slow down spraying from one IP.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
+  max: 20, // limit each IP to 20 requests per windowMs
   message: 'Too many authentication attempts, please try again later.'
 });
 
+// Registrations get their own budget so sign-ups from a shared IP (office, campus)
+// don't compete with login attempts
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // limit each IP to 30 requests per windowMs
+  message: 'Too many accounts created from this IP, please try again later.'
+});
+
 // Validation middleware
 const validateRegister = [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
@@ -22,24 +43,56 @@ const validateRegister = [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
 ];
 
-const validateLogin = [
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+// Separate, looser limiter so reset requests don't eat into login attempts
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many password reset requests, please try again later.'
+});
+
+const validateForgotPassword = [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+];
+
+const validateResetPassword = [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: 'Too many verification emails requested, please try again later.'
+});
+
+// Refreshes happen every few minutes per client, so this is much looser than login
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each IP to 60 requests per windowMs
+  message: 'Too many token refresh requests, please try again later.'
+});
+
+// 423 for a temporarily locked account, with Retry-After in seconds
+const sendAccountLocked = (res, waitSeconds) => {
+  res.set('Retry-After', String(waitSeconds));
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${Math.ceil(waitSeconds / 60)} minute(s).`,
+    accountLocked: true,
+    retryAfter: waitSeconds
   });
 };
 
+const resetExpiryMinutes = () => parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+
+const validateLogin = [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+];
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-import Transaction from '../models/Transaction.js'; // import your Transaction model
-
-router.post('/register', authLimiter, validateRegister, async (req, res) => {
+router.post('/register', registerLimiter, validateRegister, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -69,28 +122,18 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
       role: "user"
     });
 
-    // Create empty portfolio for the user
-    await Portfolio.create({
-      userId: user._id,
-      holdings: []
-    });
+    // Create the user's empty default portfolio
+    await Portfolio.findOrCreateForUser(user._id);
 
-    // 👉 Create a sample transaction for the new user
-    await Transaction.create({
-      userId: user._id,
-      type: 'deposit',       // could also be 'buy'
-      symbol: 'USDT',
-      name: 'Tether',
-      amount: 1,          // sample amount
-      price: 1,              // fixed since it's USDT
-      fee: 0,
-      total: 1,
-      status: 'completed',
-      notes: 'Welcome bonus'
-    });
+    // 👉 Credit the welcome bonus to the new user's cash balance
+    await deposit(user._id, 1, { notes: 'Welcome bonus' });
+
+    // Email a verification link
+    await issueEmailVerification(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    await recordSuccessfulLogin(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -98,7 +141,8 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -142,17 +186,38 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (user.isLocked()) {
+      await recordLockedAttempt(user, req);
+      return sendAccountLocked(res, getLockWaitSeconds(user));
+    }
+
     // Check password
     const isPasswordMatch = await user.matchPassword(password);
     if (!isPasswordMatch) {
+      const lockSeconds = await recordFailedLogin(user, req);
+      if (lockSeconds > 0) {
+        return sendAccountLocked(res, lockSeconds);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second factor required: hand back a short-lived challenge instead of a token
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    await recordSuccessfulLogin(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -160,13 +225,15 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         isVerified: user.isVerified,
         role: user.role,
+        deletionScheduledFor: user.deletionScheduledFor
       }
     });
   } catch (error) {
@@ -193,9 +260,10 @@ router.post('/verify-token', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const user = decoded.purpose ? null : await User.findById(decoded.id);
+    const session = user && await getActiveSession(decoded.sid, user._id);
 
-    if (!user) {
+    if (!user || !session || user.changedPasswordAfter(decoded.iat)) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
@@ -222,14 +290,251 @@ router.post('/verify-token', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const { token, hash } = createToken();
+      const expiresInMinutes = resetExpiryMinutes();
+
+      user.resetPasswordToken = hash;
+      user.resetPasswordExpire = Date.now() + expiresInMinutes * 60 * 1000;
+      await user.save({ validateBeforeSave: false });
+
+      // Not awaited, so the response time doesn't reveal whether the email is registered
+      sendPasswordResetEmail(user, token, expiresInMinutes)
+        .catch(err => console.error('Password reset email error:', err.message));
+    }
+
+    // Same answer either way to avoid leaking which emails are registered
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password using a reset token; revokes all sessions
+// @access  Public
+router.post('/reset-password/:token', passwordResetLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.passwordChangedAt = Date.now();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    sendPasswordChangedEmail(user)
+      .catch(err => console.error('Password changed email error:', err.message));
+
+    res.json({
+      success: true,
+      message: 'Password reset successful, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Shared handler for GET (link click) and POST (token in body) verification
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(String(token)),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   GET /api/auth/verify-email?token=
+// @desc    Verify email address from the emailed link
+// @access  Public
+router.get('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a token in the body
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const waitSeconds = getResendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another email`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await issueEmailVerification(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let tokens;
+    try {
+      tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    } catch (sessionError) {
+      if (!sessionError.status) throw sessionError;
+      return res.status(sessionError.status).json({
+        success: false,
+        message: sessionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
-router.post('/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.user.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
 export default router;
\ No newline at end of file
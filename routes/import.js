@@ -0,0 +1,176 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import auth from '../middleware/auth.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
+import ImportBatch from '../models/ImportBatch.js';
+import {
+  previewImport,
+  confirmImport,
+  getImportFormats,
+  summarizeRows
+} from '../services/importService.js';
+import { GENERIC_FIELDS, GENERIC_REQUIRED_FIELDS } from '../services/importFormats/generic.js';
+
+const router = express.Router();
+
+const formatRow = row => ({
+  line: row.line,
+  status: row.status,
+  errors: row.validationErrors,
+  warnings: row.warnings,
+  type: row.type,
+  symbol: row.symbol,
+  name: row.name,
+  amount: row.amount,
+  price: row.price,
+  fee: row.fee,
+  date: row.date,
+  exchangeOrderId: row.exchangeOrderId,
+  transactionHash: row.transactionHash
+});
+
+const formatBatch = batch => ({
+  id: batch._id,
+  portfolioId: batch.portfolioId,
+  format: batch.format,
+  fileName: batch.fileName,
+  status: batch.status,
+  summary: summarizeRows(batch.rows),
+  importedCount: batch.importedCount,
+  error: batch.error,
+  expiresAt: batch.status === 'previewed' ? batch.expiresAt : undefined,
+  completedAt: batch.completedAt,
+  createdAt: batch.createdAt,
+  rows: batch.rows.map(formatRow)
+});
+
+// Respond to a rejected import request, or rethrow unexpected errors
+const sendImportError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+  throw error;
+};
+
+// @route   GET /api/transactions/import/formats
+// @desc    List supported CSV formats and the fields of the generic mapping
+// @access  Private
+router.get('/formats', auth, (req, res) => {
+  res.json({
+    success: true,
+    formats: getImportFormats(),
+    genericMapping: {
+      fields: GENERIC_FIELDS,
+      required: GENERIC_REQUIRED_FIELDS
+    }
+  });
+});
+
+// @route   POST /api/transactions/import/preview
+// @desc    Parse an exchange CSV and show each row's validation result; nothing is saved to the portfolio.
+//          Rows are checked against, and later imported into, the portfolio named by portfolioId.
+// @access  Private
+router.post('/preview', auth, resolvePortfolio(), [
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+  body('format').optional().isString().withMessage('Format must be a string'),
+  body('mapping').optional().isObject().withMessage('Mapping must be an object of field: column'),
+  body('fileName').optional().trim().isLength({ max: 255 }).withMessage('File name is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { csv, format, mapping, fileName } = req.body;
+
+    let batch;
+    try {
+      batch = await previewImport(req.user.id, { portfolio: req.portfolio, csv, format, mapping, fileName });
+    } catch (importError) {
+      return sendImportError(res, importError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File parsed; review the rows and confirm to import the valid ones',
+      import: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/transactions/import/:id/confirm
+// @desc    Import the valid rows of a preview into the portfolio
+// @access  Private
+router.post('/:id/confirm', auth, async (req, res) => {
+  try {
+    let batch;
+    try {
+      batch = await confirmImport(req.user.id, req.params.id);
+    } catch (importError) {
+      return sendImportError(res, importError);
+    }
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${batch.importedCount} transaction(s) imported`,
+      import: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Import confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/transactions/import/:id
+// @desc    Get an import with its rows
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      import: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,271 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import auth, { requireVerified } from '../middleware/auth.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
+import Order, { ORDER_TYPES } from '../models/Order.js';
+import { placeOrder, amendOrder, cancelOrder } from '../services/orderService.js';
+
+const router = express.Router();
+
+const ORDER_STATUSES = ['open', 'triggered', 'filled', 'cancelled', 'expired', 'rejected'];
+
+const validatePlaceOrder = [
+  body('side').isIn(['buy', 'sell']).withMessage('Side must be buy or sell'),
+  body('orderType').isIn(ORDER_TYPES).withMessage(`Order type must be one of ${ORDER_TYPES.join(', ')}`),
+  body('symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('name').trim().notEmpty().withMessage('Cryptocurrency name is required'),
+  body('amount').isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number'),
+  body('limitPrice')
+    .if(body('orderType').isIn(['limit', 'stop_limit']))
+    .isFloat({ min: 0.00000001 }).withMessage('Limit price is required for limit and stop-limit orders'),
+  body('stopPrice')
+    .if(body('orderType').isIn(['stop_loss', 'take_profit', 'stop_limit']))
+    .isFloat({ min: 0.00000001 }).withMessage('Stop price is required for stop-loss, take-profit and stop-limit orders'),
+  body('timeInForce').optional().isIn(['gtc', 'gtd']).withMessage('Time in force must be gtc or gtd'),
+  body('expiresAt')
+    .if(body('timeInForce').equals('gtd'))
+    .isISO8601().withMessage('Expiry date is required for good-til-date orders')
+];
+
+const validateAmendOrder = [
+  body('amount').optional().isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number'),
+  body('limitPrice').optional().isFloat({ min: 0.00000001 }).withMessage('Limit price must be a positive number'),
+  body('stopPrice').optional().isFloat({ min: 0.00000001 }).withMessage('Stop price must be a positive number'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+];
+
+const formatOrder = order => ({
+  id: order._id,
+  portfolioId: order.portfolioId,
+  side: order.side,
+  orderType: order.orderType,
+  symbol: order.symbol,
+  name: order.name,
+  amount: order.amount,
+  limitPrice: order.limitPrice,
+  stopPrice: order.stopPrice,
+  timeInForce: order.timeInForce,
+  expiresAt: order.expiresAt,
+  status: order.status,
+  transactionId: order.transactionId,
+  triggeredAt: order.triggeredAt,
+  filledAt: order.filledAt,
+  filledPrice: order.filledPrice,
+  rejectReason: order.rejectReason,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt
+});
+
+// Respond to a rejected order request, or rethrow unexpected errors
+const sendOrderError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+};
+
+// @route   POST /api/orders
+// @desc    Place a limit, stop-loss, take-profit or stop-limit order in a portfolio (default without portfolioId)
+// @access  Private
+router.post('/', auth, resolvePortfolio(), requireVerified('trade'), validatePlaceOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { side, orderType, symbol, name, amount, limitPrice, stopPrice, timeInForce, expiresAt } = req.body;
+
+    let order;
+    try {
+      order = await placeOrder(req.user.id, {
+        portfolioId: req.portfolio._id,
+        side,
+        orderType,
+        symbol,
+        name,
+        amount,
+        limitPrice: orderType === 'limit' || orderType === 'stop_limit' ? limitPrice : undefined,
+        stopPrice: orderType !== 'limit' ? stopPrice : undefined,
+        timeInForce,
+        expiresAt: timeInForce === 'gtd' ? expiresAt : undefined
+      });
+    } catch (orderError) {
+      return sendOrderError(res, orderError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order: formatOrder(order)
+    });
+  } catch (error) {
+    console.error('Place order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    List the user's orders
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, symbol } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (status) filter.status = status;
+    if (symbol) filter.symbol = symbol.toUpperCase();
+
+    const [orders, totalOrders] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      Order.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalOrders / limit);
+
+    res.json({
+      success: true,
+      orders: orders.map(formatOrder),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalOrders,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Get a specific order
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: formatOrder(order)
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id
+// @desc    Amend an open order's amount, prices or expiry. Orders outside the default
+//          portfolio are amended with their portfolioId.
+// @access  Private
+router.put('/:id', auth, resolvePortfolio(), requireVerified('trade'), validateAmendOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, limitPrice, stopPrice, expiresAt } = req.body;
+
+    let order;
+    try {
+      order = await amendOrder(req.user.id, req.params.id, { amount, limitPrice, stopPrice, expiresAt }, { portfolio: req.portfolio });
+    } catch (orderError) {
+      return sendOrderError(res, orderError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order amended successfully',
+      order: formatOrder(order)
+    });
+  } catch (error) {
+    console.error('Amend order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/cancel
+// @desc    Cancel an open order and its pending transaction
+// @access  Private
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    const result = await cancelOrder(req.user.id, { orderId: req.params.id });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order: formatOrder(result.order)
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import auth from '../middleware/auth.js';
+import { getPrices } from '../services/priceService.js';
+import {
+  getPaperPortfolio,
+  resetPaperPortfolio,
+  valuePaperPortfolio,
+  getLeaderboard,
+  PAPER_BALANCE_LIMITS
+} from '../services/paperService.js';
+
+const router = express.Router();
+
+// Respond to a rejected paper-trading request, or rethrow unexpected errors
+const sendPaperError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+  throw error;
+};
+
+async function formatPaperPortfolio(portfolio) {
+  const { prices } = await getPrices(portfolio.holdings.map(h => h.symbol));
+
+  return {
+    id: portfolio._id,
+    name: portfolio.name,
+    kind: portfolio.kind,
+    cashBalance: portfolio.cashBalance,
+    ...valuePaperPortfolio(portfolio, prices),
+    holdings: portfolio.holdings.map(holding => ({
+      symbol: holding.symbol,
+      name: holding.name,
+      amount: holding.amount,
+      avgPrice: holding.averagePrice,
+      currentPrice: prices[holding.symbol]?.price ?? holding.averagePrice
+    })),
+    resetAt: portfolio.paper.resetAt,
+    showOnLeaderboard: portfolio.paper.showOnLeaderboard
+  };
+}
+
+// @route   GET /api/paper
+// @desc    Get the user's paper portfolio, opening it with a simulated balance on first use.
+//          Trade it through /api/portfolio/trade and /api/orders with its portfolioId.
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    let portfolio;
+    try {
+      portfolio = await getPaperPortfolio(req.user.id);
+    } catch (paperError) {
+      return sendPaperError(res, paperError);
+    }
+
+    res.json({
+      success: true,
+      portfolio: await formatPaperPortfolio(portfolio)
+    });
+  } catch (error) {
+    console.error('Get paper portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/paper
+// @desc    Opt in to or out of the paper-trading leaderboard
+// @access  Private
+router.put('/', auth, [
+  body('showOnLeaderboard').isBoolean().withMessage('showOnLeaderboard must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let portfolio;
+    try {
+      portfolio = await getPaperPortfolio(req.user.id);
+    } catch (paperError) {
+      return sendPaperError(res, paperError);
+    }
+
+    portfolio.paper.showOnLeaderboard = req.body.showOnLeaderboard;
+    await portfolio.save();
+
+    res.json({
+      success: true,
+      message: portfolio.paper.showOnLeaderboard ? 'Paper portfolio added to the leaderboard' : 'Paper portfolio removed from the leaderboard',
+      portfolio: await formatPaperPortfolio(portfolio)
+    });
+  } catch (error) {
+    console.error('Update paper portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/paper/reset
+// @desc    Clear the paper portfolio's trades and restore its simulated starting balance
+// @access  Private
+router.post('/reset', auth, [
+  body('startingBalance')
+    .optional()
+    .isFloat(PAPER_BALANCE_LIMITS)
+    .withMessage(`Starting balance must be between ${PAPER_BALANCE_LIMITS.min} and ${PAPER_BALANCE_LIMITS.max}`)
+    .toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let portfolio;
+    try {
+      portfolio = await resetPaperPortfolio(req.user.id, { startingBalance: req.body.startingBalance });
+    } catch (paperError) {
+      return sendPaperError(res, paperError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Paper portfolio reset',
+      portfolio: await formatPaperPortfolio(portfolio)
+    });
+  } catch (error) {
+    console.error('Reset paper portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/paper/leaderboard?limit=
+// @desc    Rank opted-in paper portfolios by return since their last reset
+// @access  Private
+router.get('/leaderboard', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const leaderboard = await getLeaderboard(req.user.id, { limit: parseInt(req.query.limit) || 20 });
+
+    res.json({
+      success: true,
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Get paper leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,294 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import auth, { requireVerified } from '../middleware/auth.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
+import RecurringPlan, { PLAN_CADENCES } from '../models/RecurringPlan.js';
+import { getAssetRegistry } from '../services/priceService.js';
+import { nextOccurrence } from '../services/recurringPlanService.js';
+
+const router = express.Router();
+
+const MAX_PLANS_PER_USER = 50;
+const PLAN_STATUSES = ['active', 'paused', 'ended'];
+
+const validatePlan = [
+  body('symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('name').optional().trim().notEmpty().withMessage('Cryptocurrency name cannot be empty'),
+  body('fiatAmount').isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+  body('cadence').isIn(PLAN_CADENCES).withMessage(`Cadence must be one of ${PLAN_CADENCES.join(', ')}`),
+  body('startAt').optional().isISO8601().withMessage('Start must be an ISO 8601 date'),
+  body('endAt').optional({ values: 'null' }).isISO8601().withMessage('End must be an ISO 8601 date')
+];
+
+const validatePlanUpdate = [
+  body('fiatAmount').optional().isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+  body('endAt').optional({ values: 'null' }).isISO8601().withMessage('End must be an ISO 8601 date'),
+  body('status').optional().isIn(['active', 'paused']).withMessage('Status must be active or paused')
+];
+
+const formatPlan = (plan, { withRuns = false } = {}) => ({
+  id: plan._id,
+  portfolioId: plan.portfolioId,
+  symbol: plan.symbol,
+  name: plan.name,
+  fiatAmount: plan.fiatAmount,
+  cadence: plan.cadence,
+  startAt: plan.startAt,
+  endAt: plan.endAt,
+  status: plan.status,
+  nextRunAt: plan.nextRunAt,
+  lastRunAt: plan.lastRunAt,
+  lastRun: plan.runs[plan.runs.length - 1],
+  ...(withRuns && { runs: [...plan.runs].reverse() }),
+  createdAt: plan.createdAt
+});
+
+// Point an active plan at its next run, ending it if there is none. A new plan
+// first runs at its start (right away if that has passed); a resumed one at its
+// next occurrence, skipping those missed while it was paused.
+function schedule(plan, { firstRun = false } = {}) {
+  let next = null;
+  if (plan.status === 'active') {
+    next = firstRun ? new Date(Math.max(plan.startAt.getTime(), Date.now())) : nextOccurrence(plan);
+    if (next && plan.endAt && next > plan.endAt) {
+      next = null;
+    }
+  }
+
+  plan.nextRunAt = next || undefined;
+  if (plan.status === 'active' && !next) {
+    plan.status = 'ended';
+  }
+}
+
+// After the end moves, end an active plan whose next run is now past it
+function capAtEnd(plan) {
+  if (plan.status === 'active' && plan.endAt && plan.nextRunAt > plan.endAt) {
+    plan.status = 'ended';
+    plan.nextRunAt = undefined;
+  }
+}
+
+// @route   GET /api/plans
+// @desc    List the user's recurring buy plans
+// @access  Private
+router.get('/', auth, [
+  query('status').optional().isIn(PLAN_STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.symbol) filter.symbol = req.query.symbol.toUpperCase();
+
+    const plans = await RecurringPlan.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      plans: plans.map(plan => formatPlan(plan))
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/plans
+// @desc    Create a recurring buy plan, e.g. 50 of BTC weekly from a Monday, in
+//          the portfolio named by portfolioId (the default one without it)
+// @access  Private
+router.post('/', auth, resolvePortfolio(), requireVerified('trade'), validatePlan, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { symbol, name, fiatAmount, cadence } = req.body;
+    const startAt = req.body.startAt ? new Date(req.body.startAt) : new Date();
+    const endAt = req.body.endAt ? new Date(req.body.endAt) : undefined;
+
+    if (endAt && endAt <= startAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End must be after the start'
+      });
+    }
+
+    const asset = (await getAssetRegistry())[symbol];
+    if (!asset) {
+      return res.status(400).json({
+        success: false,
+        message: `${symbol} is not a supported asset`
+      });
+    }
+
+    const count = await RecurringPlan.countDocuments({ userId: req.user.id, status: { $ne: 'ended' } });
+    if (count >= MAX_PLANS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_PLANS_PER_USER} recurring plans`
+      });
+    }
+
+    const plan = new RecurringPlan({
+      userId: req.user.id,
+      portfolioId: req.portfolio._id,
+      symbol,
+      name: name || asset.name,
+      fiatAmount,
+      cadence,
+      startAt,
+      endAt
+    });
+    schedule(plan, { firstRun: true });
+    await plan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring plan created successfully',
+      plan: formatPlan(plan)
+    });
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/plans/:id
+// @desc    Get a recurring plan with its run history
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const plan = await RecurringPlan.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      plan: formatPlan(plan, { withRuns: true })
+    });
+  } catch (error) {
+    console.error('Get plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/plans/:id
+// @desc    Change a plan's amount or end, or pause/resume it; resuming skips missed runs
+// @access  Private
+router.put('/:id', auth, validatePlanUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await RecurringPlan.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (plan.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Plan has ended and cannot be changed'
+      });
+    }
+
+    const { fiatAmount, endAt, status } = req.body;
+    if (fiatAmount !== undefined) plan.fiatAmount = fiatAmount;
+    if (endAt !== undefined) plan.endAt = endAt ? new Date(endAt) : undefined;
+    if (status !== undefined) plan.status = status;
+
+    if (plan.endAt && plan.endAt <= plan.startAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End must be after the start'
+      });
+    }
+
+    // Only pausing or resuming moves the schedule, so an edit never skips a due run
+    if (plan.isModified('status')) {
+      schedule(plan);
+    } else if (endAt !== undefined) {
+      capAtEnd(plan);
+    }
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring plan updated successfully',
+      plan: formatPlan(plan)
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/plans/:id
+// @desc    Delete a recurring plan; its past transactions are kept
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const plan = await RecurringPlan.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,74 +1,32 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import auth from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import auth, { requireVerified } from '../middleware/auth.js';
+import idempotency from '../middleware/idempotency.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
 import Portfolio from '../models/Portfolio.js';
-import Transaction from '../models/Transaction.js';
-import axios from 'axios';
-
+import { getPrices, getQuote, getAssetRegistry } from '../services/priceService.js';
+import { executeMarketTrade, createTradeQuote, executeQuotedTrade } from '../services/tradeService.js';
+import { getPerformance, PERFORMANCE_PERIODS } from '../services/performanceService.js';
+import { backfillSnapshots } from '../services/snapshotService.js';
+import { getProfitAndLoss } from '../services/lotService.js';
+import { buildRebalancePlan, executeRebalance } from '../services/rebalanceService.js';
+import { getFeeSchedule, getFeeTier, activePromotions, quoteFee } from '../services/feeService.js';
+import { FEE_LIQUIDITY } from '../models/FeeSchedule.js';
+import PortfolioSnapshot, { SNAPSHOT_INTERVALS } from '../models/PortfolioSnapshot.js';
 
 const router = express.Router();
 
-// Fetch top coins prices
-async function fetchCryptoPrices(symbols = ['BTC', 'ETH', 'BNB', 'SOL', 'ADA', 'DOT']) {
-  try {
-    const idsMap = {
-      BTC: 'bitcoin',
-      ETH: 'ethereum',
-      BNB: 'binancecoin',
-      SOL: 'solana',
-      ADA: 'cardano',
-      DOT: 'polkadot'
-    };
-
-    const ids = symbols.map(s => idsMap[s]).join(',');
-
-    const { data } = await axios.get(
-      `https://api.coingecko.com/api/v3/simple/price`,
-      {
-        params: {
-          ids,
-          vs_currencies: 'usd',
-          include_24hr_change: 'true'
-        }
-      }
-    );
-
-    // Format like your mockPrices
-    const prices = {};
-    symbols.forEach(symbol => {
-      const id = idsMap[symbol];
-      prices[symbol] = {
-        price: data[id].usd,
-        change: data[id].usd_24h_change
-      };
-    });
-
-    return prices;
-  } catch (err) {
-    console.error('Error fetching live prices:', err.message);
-    return {};
-  }
-}
-
-
-
-
-// @route   GET /api/portfolio
-// @desc    Get user's portfolio with live prices
+// @route   GET /api/portfolio?portfolioId=
+// @desc    Get a portfolio (the default one without portfolioId) with live prices
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, resolvePortfolio(), async (req, res) => {
   try {
-    let portfolio = await Portfolio.findOne({ userId: req.user.id });
-
-    if (!portfolio) {
-      portfolio = await Portfolio.create({
-        userId: req.user.id,
-        holdings: []
-      });
-    }
+    const portfolio = req.portfolio;
 
     const symbols = portfolio.holdings.map((h) => h.symbol);
-    const livePrices = await fetchCryptoPrices(symbols);
+    const priceResult = await getPrices(symbols);
+    const livePrices = priceResult.prices;
 
     // Update current prices in holdings
     portfolio.holdings.forEach((holding) => {
@@ -83,10 +41,20 @@ router.get('/', auth, async (req, res) => {
       }
     });
 
-    await portfolio.save();
+    // Cached prices are best-effort: if a trade saved the portfolio meanwhile, skip this write
+    await portfolio.save().catch(err => {
+      if (!(err instanceof mongoose.Error.VersionError)) throw err;
+    });
+
+    const pnl = await getProfitAndLoss(req.user.id, portfolio.holdings, portfolio);
 
     // Build portfolio response
     const portfolioData = {
+      id: portfolio._id,
+      name: portfolio.name,
+      isDefault: portfolio.isDefault,
+      kind: portfolio.kind,
+      cashBalance: portfolio.cashBalance,
       totalValue: portfolio.totalValue,
       totalInvested: portfolio.totalInvested,
       totalGain: portfolio.totalGainLoss,
@@ -102,8 +70,21 @@ router.get('/', auth, async (req, res) => {
         allocation:
           portfolio.totalValue > 0
             ? (holding.amount * holding.currentPrice / portfolio.totalValue) * 100
-            : 0
-      }))
+            : 0,
+        priceStale: livePrices[holding.symbol]?.stale ?? true,
+        costBasis: pnl.bySymbol[holding.symbol].costBasis,
+        unrealizedGain: pnl.bySymbol[holding.symbol].unrealizedGain,
+        unrealizedGainPercentage: pnl.bySymbol[holding.symbol].unrealizedGainPercentage,
+        realizedGain: pnl.bySymbol[holding.symbol].realizedGain
+      })),
+      // Realized P&L also covers symbols that have since been sold off completely
+      pnl,
+      prices: {
+        source: priceResult.source,
+        asOf: priceResult.asOf,
+        stale: priceResult.stale,
+        missing: priceResult.missing
+      }
     };
 
     res.json({
@@ -120,16 +101,17 @@ router.get('/', auth, async (req, res) => {
 });
 
 
-// @route   POST /api/portfolio/trade
-// @desc    Execute a trade (buy/sell)
-// @access  Private
-router.post('/trade', auth, [
+const validateTrade = [
   body('type').isIn(['buy', 'sell']).withMessage('Type must be buy or sell'),
   body('symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
   body('name').trim().notEmpty().withMessage('Cryptocurrency name is required'),
-  body('amount').isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number'),
-  body('price').isFloat({ min: 0.01 }).withMessage('Price must be a positive number')
-], async (req, res) => {
+  body('amount').isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number')
+];
+
+// @route   POST /api/portfolio/quote
+// @desc    Get a firm price and fee for a trade, valid for a few seconds
+// @access  Private
+router.post('/quote', auth, resolvePortfolio(), requireVerified('trade'), validateTrade, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -140,63 +122,136 @@ router.post('/trade', auth, [
       });
     }
 
-    const { type, symbol, name, amount, price } = req.body;
-    const fee = (amount * price) * 0.005; // 0.5% fee
-    const total = type === 'buy' ? (amount * price) + fee : (amount * price) - fee;
+    const { type, symbol, name, amount } = req.body;
 
-    // Get or create portfolio
-    let portfolio = await Portfolio.findOne({ userId: req.user.id });
-    if (!portfolio) {
-      portfolio = await Portfolio.create({
-        userId: req.user.id,
-        holdings: []
-      });
-    }
-
-    // Execute trade
+    let quote;
     try {
-      portfolio.addOrUpdateHolding(symbol, name, amount, price, type);
-      await portfolio.save();
-
-      // Create transaction record
-      const transaction = await Transaction.create({
+      quote = await createTradeQuote({
         userId: req.user.id,
+        portfolioId: req.portfolio._id,
         type,
-        symbol: symbol.toUpperCase(),
+        symbol,
         name,
-        amount,
-        price,
-        fee,
-        total,
-        status: 'completed'
+        amount: parseFloat(amount)
       });
+    } catch (quoteError) {
+      if (quoteError.status) {
+        return res.status(quoteError.status).json({
+          success: false,
+          message: quoteError.message
+        });
+      }
+      throw quoteError;
+    }
 
-      res.json({
-        success: true,
-        message: `${type === 'buy' ? 'Purchase' : 'Sale'} completed successfully`,
-        transaction: {
-          id: transaction._id,
-          type: transaction.type,
-          symbol: transaction.symbol,
-          amount: transaction.amount,
-          price: transaction.price,
-          fee: transaction.fee,
-          total: transaction.total,
-          date: transaction.createdAt
-        },
-        portfolio: {
-          totalValue: portfolio.totalValue,
-          totalInvested: portfolio.totalInvested,
-          totalGain: portfolio.totalGainLoss,
-          gainPercentage: portfolio.totalGainLossPercentage
-        }
-      });
-    } catch (tradeError) {
+    res.status(201).json({
+      success: true,
+      quote: {
+        id: quote._id,
+        portfolioId: quote.portfolioId,
+        type: quote.side,
+        symbol: quote.symbol,
+        name: quote.name,
+        amount: quote.amount,
+        price: quote.price,
+        fee: quote.fee,
+        total: quote.total,
+        priceSource: quote.priceSource,
+        expiresAt: quote.expiresAt,
+        signature: quote.signature
+      }
+    });
+  } catch (error) {
+    console.error('Trade quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/portfolio/trade
+// @desc    Execute a trade (buy/sell) at the market price, or at a quote's exact terms with quoteId
+// @access  Private
+router.post('/trade', auth, resolvePortfolio(), requireVerified('trade'), idempotency, [
+  body('quoteId').optional().isMongoId().withMessage('Quote id is invalid'),
+  body('type').if(body('quoteId').not().exists())
+    .isIn(['buy', 'sell']).withMessage('Type must be buy or sell'),
+  body('symbol').if(body('quoteId').not().exists())
+    .trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('name').if(body('quoteId').not().exists())
+    .trim().notEmpty().withMessage('Cryptocurrency name is required'),
+  body('amount').if(body('quoteId').not().exists())
+    .isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number'),
+  body('price').optional().isFloat({ min: 0.01 }).withMessage('Price must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: tradeError.message
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
+
+    const { quoteId, type, symbol, name, amount } = req.body;
+    const quotedPrice = req.body.price !== undefined ? parseFloat(req.body.price) : undefined;
+
+    let result;
+    try {
+      result = quoteId
+        ? await executeQuotedTrade(req.user.id, quoteId, req.portfolio._id)
+        : await executeMarketTrade({
+          userId: req.user.id,
+          portfolioId: req.portfolio._id,
+          type,
+          symbol,
+          name,
+          amount: parseFloat(amount),
+          quotedPrice
+        });
+    } catch (tradeError) {
+      if (tradeError.status) {
+        return res.status(tradeError.status).json({
+          success: false,
+          message: tradeError.message,
+          ...tradeError.details
+        });
+      }
+      throw tradeError;
+    }
+
+    const { transaction, portfolio } = result;
+
+    res.json({
+      success: true,
+      message: `${transaction.type === 'buy' ? 'Purchase' : 'Sale'} completed successfully`,
+      transaction: {
+        id: transaction._id,
+        portfolioId: transaction.portfolioId,
+        simulated: transaction.simulated,
+        type: transaction.type,
+        symbol: transaction.symbol,
+        amount: transaction.amount,
+        price: transaction.price,
+        quotedPrice: transaction.quotedPrice,
+        priceSource: transaction.priceSource,
+        quoteId: transaction.quoteId,
+        fee: transaction.fee,
+        total: transaction.total,
+        costBasis: transaction.costBasis,
+        realizedGain: transaction.realizedGain,
+        date: transaction.createdAt
+      },
+      portfolio: {
+        cashBalance: portfolio.cashBalance,
+        totalValue: portfolio.totalValue,
+        totalInvested: portfolio.totalInvested,
+        totalGain: portfolio.totalGainLoss,
+        gainPercentage: portfolio.totalGainLossPercentage
+      }
+    });
   } catch (error) {
     console.error('Trade execution error:', error);
     res.status(500).json({
@@ -206,71 +261,291 @@ router.post('/trade', auth, [
   }
 });
 
-// @route   GET /api/portfolio/performance
-// @desc    Get portfolio performance metrics
+// @route   GET /api/portfolio/fees?symbol=&amount=&price=&liquidity=
+// @desc    Get the user's fee tier and, with symbol and amount, a fee quote
 // @access  Private
-router.get('/performance', auth, async (req, res) => {
+router.get('/fees', auth, [
+  query('symbol').optional().trim().toUpperCase().notEmpty().withMessage('Symbol cannot be empty'),
+  query('amount')
+    .if(query('symbol').exists())
+    .isFloat({ min: 0.000001 }).withMessage('Amount must be a positive number'),
+  query('price').optional().isFloat({ min: 0.00000001 }).withMessage('Price must be a positive number'),
+  query('liquidity').optional().isIn(FEE_LIQUIDITY).withMessage('Liquidity must be maker or taker')
+], async (req, res) => {
   try {
-    const portfolio = await Portfolio.findOne({ userId: req.user.id });
-    
-    if (!portfolio) {
-      return res.json({
-        success: true,
-        performance: {
-          totalReturn: 0,
-          totalReturnPercentage: 0,
-          bestPerformer: null,
-          worstPerformer: null,
-          diversificationScore: 0
-        }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Update current prices
-    portfolio.updateCurrentPrices(mockPrices);
-
-    let bestPerformer = null;
-    let worstPerformer = null;
-    let bestGain = -Infinity;
-    let worstGain = Infinity;
-
-    portfolio.holdings.forEach(holding => {
-      const currentPrice = holding.currentPrice || holding.averagePrice;
-      const gainLoss = ((currentPrice - holding.averagePrice) / holding.averagePrice) * 100;
-
-      if (gainLoss > bestGain) {
-        bestGain = gainLoss;
-        bestPerformer = {
-          symbol: holding.symbol,
-          name: holding.name,
-          gain: gainLoss
-        };
+    const { symbol, amount, price, liquidity = 'taker' } = req.query;
+    const [schedule, tierInfo] = await Promise.all([getFeeSchedule(), getFeeTier(req.user.id)]);
+
+    let quote;
+    if (symbol) {
+      // Without a price the quote uses the live market price
+      let quotePrice = price !== undefined ? parseFloat(price) : undefined;
+      if (quotePrice === undefined) {
+        try {
+          quotePrice = (await getQuote(symbol)).price;
+        } catch (priceError) {
+          if (!priceError.status) throw priceError;
+          return res.status(priceError.status).json({
+            success: false,
+            message: priceError.message
+          });
+        }
       }
 
-      if (gainLoss < worstGain) {
-        worstGain = gainLoss;
-        worstPerformer = {
-          symbol: holding.symbol,
-          name: holding.name,
-          gain: gainLoss
-        };
+      const feeQuote = await quoteFee(req.user.id, {
+        symbol,
+        amount: parseFloat(amount),
+        price: quotePrice,
+        liquidity
+      });
+      quote = {
+        symbol,
+        amount: parseFloat(amount),
+        price: quotePrice,
+        notional: parseFloat(amount) * quotePrice,
+        ...feeQuote
+      };
+    }
+
+    res.json({
+      success: true,
+      fees: {
+        volume30d: tierInfo.volume,
+        tier: tierInfo.tier,
+        nextTier: tierInfo.nextTier,
+        volumeToNextTier: tierInfo.volumeToNextTier,
+        tiers: schedule.tiers,
+        minimumFee: schedule.minimumFee,
+        symbolRates: schedule.symbolRates,
+        promotions: activePromotions(schedule).map(promotion => ({
+          name: promotion.name,
+          discount: promotion.discount,
+          symbols: promotion.symbols,
+          endsAt: promotion.endsAt
+        })),
+        quote
       }
     });
+  } catch (error) {
+    console.error('Get fees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    // Calculate diversification score (simplified)
-    const diversificationScore = Math.min(portfolio.holdings.length * 20, 100);
+const formatTargets = portfolio => ({
+  targets: portfolio.targetAllocations.map(({ symbol, weight }) => ({ symbol, weight })),
+  cashWeight: 100 - portfolio.targetAllocations.reduce((sum, target) => sum + target.weight, 0),
+  autoRebalance: portfolio.autoRebalance,
+  lastRebalancedAt: portfolio.lastRebalancedAt
+});
+
+// @route   GET /api/portfolio/targets
+// @desc    Get the user's target allocation weights
+// @access  Private
+router.get('/targets', auth, resolvePortfolio(), async (req, res) => {
+  try {
+    const portfolio = req.portfolio;
 
     res.json({
       success: true,
-      performance: {
-        totalReturn: portfolio.totalGainLoss,
-        totalReturnPercentage: portfolio.totalGainLossPercentage,
-        bestPerformer,
-        worstPerformer,
-        diversificationScore,
-        holdingsCount: portfolio.holdings.length,
-        lastUpdated: portfolio.lastUpdated
+      ...formatTargets(portfolio)
+    });
+  } catch (error) {
+    console.error('Get targets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/portfolio/targets
+// @desc    Set target weights (percent of total value, the rest stays in cash) and automatic rebalancing
+// @access  Private
+router.put('/targets', auth, resolvePortfolio(), [
+  body('targets').optional().isArray({ max: 50 }).withMessage('Targets must be a list of at most 50 assets'),
+  body('targets.*.symbol').trim().toUpperCase().notEmpty().withMessage('Symbol is required'),
+  body('targets.*.weight').isFloat({ min: 0, max: 100 }).withMessage('Weight must be between 0 and 100'),
+  body('autoRebalance.enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('autoRebalance.driftThreshold').optional().isFloat({ min: 0.1, max: 100 }).withMessage('Drift threshold must be between 0.1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { targets, autoRebalance = {} } = req.body;
+    const update = {};
+
+    if (targets !== undefined) {
+      const symbols = targets.map(target => target.symbol);
+      if (new Set(symbols).size !== symbols.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each symbol can only have one target'
+        });
+      }
+
+      const totalWeight = targets.reduce((sum, target) => sum + parseFloat(target.weight), 0);
+      if (totalWeight > 100 + 1e-9) {
+        return res.status(400).json({
+          success: false,
+          message: `Target weights add up to ${totalWeight}%, they cannot exceed 100%`
+        });
       }
+
+      const registry = await getAssetRegistry();
+      const unsupported = symbols.filter(symbol => !registry[symbol]);
+      if (unsupported.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported assets: ${unsupported.join(', ')}`
+        });
+      }
+
+      update.targetAllocations = targets.map(target => ({ symbol: target.symbol, weight: parseFloat(target.weight) }));
+    }
+    if (autoRebalance.enabled !== undefined) {
+      update['autoRebalance.enabled'] = autoRebalance.enabled === true || autoRebalance.enabled === 'true';
+    }
+    if (autoRebalance.driftThreshold !== undefined) {
+      update['autoRebalance.driftThreshold'] = parseFloat(autoRebalance.driftThreshold);
+    }
+
+    // A targeted update, so concurrent trades on the portfolio are not overwritten
+    const portfolio = await Portfolio.findOneAndUpdate(
+      { _id: req.portfolio._id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Target allocations updated successfully',
+      ...formatTargets(portfolio)
+    });
+  } catch (error) {
+    console.error('Update targets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/portfolio/rebalance
+// @desc    Get drift from the target weights and the trades that would correct it
+// @access  Private
+router.get('/rebalance', auth, resolvePortfolio(), async (req, res) => {
+  try {
+    let plan;
+    try {
+      plan = await buildRebalancePlan(req.user.id, req.portfolio._id);
+    } catch (planError) {
+      if (!planError.status) throw planError;
+      return res.status(planError.status).json({
+        success: false,
+        message: planError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      rebalance: plan
+    });
+  } catch (error) {
+    console.error('Get rebalance plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/portfolio/rebalance
+// @desc    Execute the rebalancing trades at current prices as one all-or-nothing batch
+// @access  Private
+router.post('/rebalance', auth, resolvePortfolio(), requireVerified('trade'), idempotency, async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await executeRebalance(req.user.id, req.portfolio._id);
+    } catch (rebalanceError) {
+      if (!rebalanceError.status) throw rebalanceError;
+      return res.status(rebalanceError.status).json({
+        success: false,
+        message: rebalanceError.message,
+        ...rebalanceError.details
+      });
+    }
+
+    const { plan, transactions } = result;
+
+    res.json({
+      success: true,
+      message: transactions.length > 0
+        ? `Portfolio rebalanced with ${transactions.length} trade(s)`
+        : 'Portfolio is already within its targets',
+      rebalance: plan,
+      transactions: transactions.map(transaction => ({
+        id: transaction._id,
+        type: transaction.type,
+        symbol: transaction.symbol,
+        amount: transaction.amount,
+        price: transaction.price,
+        fee: transaction.fee,
+        total: transaction.total,
+        realizedGain: transaction.realizedGain,
+        executedAt: transaction.executedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Rebalance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/portfolio/performance
+// @desc    Get risk/return analytics for a period (24h, 7d, 30d, ytd, all)
+// @access  Private
+router.get('/performance', auth, resolvePortfolio(), [
+  query('period').optional().isIn(PERFORMANCE_PERIODS).withMessage(`Period must be one of ${PERFORMANCE_PERIODS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const performance = await getPerformance(req.user.id, req.portfolio, req.query.period || '30d');
+
+    res.json({
+      success: true,
+      performance
     });
   } catch (error) {
     console.error('Get portfolio performance error:', error);
@@ -281,4 +556,69 @@ router.get('/performance', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/portfolio/history
+// @desc    Get portfolio value over time, downsampled to hourly/daily/weekly buckets
+// @access  Private
+router.get('/history', auth, resolvePortfolio(), [
+  query('interval').optional().isIn(SNAPSHOT_INTERVALS).withMessage(`Interval must be one of ${SNAPSHOT_INTERVALS.join(', ')}`),
+  query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { interval = 'daily', startDate, endDate } = req.query;
+    const buckets = await PortfolioSnapshot.getSeries(req.user.id, req.portfolio, { interval, startDate, endDate });
+
+    res.json({
+      success: true,
+      interval,
+      history: buckets.map(bucket => ({
+        date: bucket._id,
+        takenAt: bucket.takenAt,
+        totalValue: bucket.totalValue,
+        totalInvested: bucket.totalInvested,
+        holdings: bucket.holdings.reduce((bySymbol, holding) => {
+          bySymbol[holding.symbol] = holding.value;
+          return bySymbol;
+        }, {})
+      }))
+    });
+  } catch (error) {
+    console.error('Get portfolio history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/portfolio/history/backfill
+// @desc    Rebuild portfolio history from the transaction record
+// @access  Private
+router.post('/history/backfill', auth, resolvePortfolio(), async (req, res) => {
+  try {
+    const snapshots = await backfillSnapshots(req.user.id, req.portfolio);
+
+    res.json({
+      success: true,
+      message: 'Portfolio history rebuilt from transactions',
+      snapshots
+    });
+  } catch (error) {
+    console.error('Backfill portfolio history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
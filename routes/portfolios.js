@@ -0,0 +1,220 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import auth from '../middleware/auth.js';
+import idempotency from '../middleware/idempotency.js';
+import Portfolio from '../models/Portfolio.js';
+import { createPortfolio, updatePortfolio, deletePortfolio } from '../services/portfolioService.js';
+import { transferBetweenPortfolios } from '../services/transferService.js';
+
+const router = express.Router();
+
+const formatPortfolio = portfolio => ({
+  id: portfolio._id,
+  name: portfolio.name,
+  isDefault: portfolio.isDefault,
+  kind: portfolio.kind,
+  cashBalance: portfolio.cashBalance,
+  holdingsCount: portfolio.holdings.length,
+  totalValue: portfolio.totalValue,
+  totalInvested: portfolio.totalInvested,
+  totalGain: portfolio.totalGainLoss,
+  gainPercentage: portfolio.totalGainLossPercentage,
+  createdAt: portfolio.createdAt
+});
+
+// Respond to a rejected portfolio request, or rethrow unexpected errors
+const sendPortfolioError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+};
+
+// @route   GET /api/portfolios
+// @desc    List the user's portfolios, default first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    await Portfolio.findOrCreateForUser(req.user.id);
+    const portfolios = await Portfolio.find({ userId: req.user.id }).sort({ isDefault: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      portfolios: portfolios.map(formatPortfolio)
+    });
+  } catch (error) {
+    console.error('Get portfolios error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/portfolios
+// @desc    Create a named portfolio
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('makeDefault').optional().isBoolean().withMessage('makeDefault must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let portfolio;
+    try {
+      portfolio = await createPortfolio(req.user.id, req.body);
+    } catch (portfolioError) {
+      return sendPortfolioError(res, portfolioError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Portfolio created successfully',
+      portfolio: formatPortfolio(portfolio)
+    });
+  } catch (error) {
+    console.error('Create portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/portfolios/transfers
+// @desc    Move cash (USDT) or an asset between two of the user's portfolios
+// @access  Private
+router.post('/transfers', auth, idempotency, [
+  body('fromPortfolioId').isMongoId().withMessage('Source portfolio id is invalid'),
+  body('toPortfolioId').isMongoId().withMessage('Destination portfolio id is invalid'),
+  body('symbol').trim().notEmpty().withMessage('Symbol is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await transferBetweenPortfolios(req.user.id, {
+        fromPortfolioId: req.body.fromPortfolioId,
+        toPortfolioId: req.body.toPortfolioId,
+        symbol: req.body.symbol,
+        amount: parseFloat(req.body.amount)
+      });
+    } catch (portfolioError) {
+      return sendPortfolioError(res, portfolioError);
+    }
+
+    const [outgoing] = result.transactions;
+
+    res.status(201).json({
+      success: true,
+      message: `Transferred ${outgoing.amount} ${outgoing.symbol} to ${result.to.name}`,
+      transfer: {
+        id: outgoing.transferId,
+        symbol: outgoing.symbol,
+        amount: outgoing.amount,
+        price: outgoing.price,
+        transactionIds: result.transactions.map(t => t._id),
+        date: outgoing.createdAt
+      },
+      from: formatPortfolio(result.from),
+      to: formatPortfolio(result.to)
+    });
+  } catch (error) {
+    console.error('Portfolio transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/portfolios/:id
+// @desc    Rename a portfolio or make it the default
+// @access  Private
+router.put('/:id', auth, [
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('makeDefault').optional().isBoolean().withMessage('makeDefault must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let portfolio;
+    try {
+      portfolio = await updatePortfolio(req.user.id, req.params.id, req.body);
+    } catch (portfolioError) {
+      return sendPortfolioError(res, portfolioError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Portfolio updated successfully',
+      portfolio: formatPortfolio(portfolio)
+    });
+  } catch (error) {
+    console.error('Update portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/portfolios/:id
+// @desc    Delete an empty portfolio other than the default
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    try {
+      await deletePortfolio(req.user.id, req.params.id);
+    } catch (portfolioError) {
+      return sendPortfolioError(res, portfolioError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Portfolio deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import auth from '../middleware/auth.js';
+import {
+  buildTaxReport,
+  getTaxYears,
+  taxReportToCsv,
+  taxReportToForm8949
+} from '../services/taxReportService.js';
+
+const router = express.Router();
+
+const TAX_REPORT_FORMATS = ['json', 'csv', 'form8949'];
+
+// @route   GET /api/reports/tax
+// @desc    List the years that have taxable disposals
+// @access  Private
+router.get('/tax', auth, async (req, res) => {
+  try {
+    const years = await getTaxYears(req.user.id);
+
+    res.json({
+      success: true,
+      years
+    });
+  } catch (error) {
+    console.error('Get tax years error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/tax/:year?format=json|csv|form8949
+// @desc    Capital-gains report for a calendar year
+// @access  Private
+router.get('/tax/:year', auth, [
+  param('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be a four-digit year'),
+  query('format').optional().isIn(TAX_REPORT_FORMATS).withMessage(`Format must be one of ${TAX_REPORT_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const year = parseInt(req.params.year);
+    const { format = 'json' } = req.query;
+    const report = await buildTaxReport(req.user.id, year);
+
+    if (format === 'csv') {
+      res.attachment(`capital-gains-${year}.csv`);
+      return res.type('text/csv').send(taxReportToCsv(report));
+    }
+    if (format === 'form8949') {
+      res.attachment(`form-8949-${year}.csv`);
+      return res.type('text/csv').send(taxReportToForm8949(report));
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get tax report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
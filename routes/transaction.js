@@ -1,17 +1,42 @@
 import express from 'express';
+import { pipeline } from 'stream/promises';
 import { body, validationResult, query } from 'express-validator';
-import auth from '../middleware/auth.js';
-import Transaction from '../models/Transaction.js';
+import auth, { requireVerified } from '../middleware/auth.js';
+import idempotency from '../middleware/idempotency.js';
+import { resolvePortfolio } from '../middleware/portfolio.js';
+import Transaction, { TRANSACTION_TYPES } from '../models/Transaction.js';
+import { deposit, withdraw } from '../services/cashService.js';
+import { cancelOrder } from '../services/orderService.js';
+import { createTransactionExport, TRANSACTION_EXPORT_FORMATS } from '../services/transactionExportService.js';
 
 const router = express.Router();
 
+const validateCashMovement = [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters')
+];
+
+const formatCashMovement = (transaction, portfolio) => ({
+  transaction: {
+    id: transaction._id,
+    portfolioId: transaction.portfolioId,
+    type: transaction.type,
+    symbol: transaction.symbol,
+    amount: transaction.amount,
+    total: transaction.total,
+    status: transaction.status,
+    date: transaction.createdAt
+  },
+  cashBalance: portfolio.cashBalance
+});
+
 // @route   GET /api/transactions
-// @desc    Get user's transaction history
+// @desc    Get user's transaction history, across all portfolios or for one with portfolioId
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, resolvePortfolio({ fallbackToDefault: false }), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('type').optional().isIn(['buy', 'sell', 'deposit', 'withdrawal']).withMessage('Invalid transaction type'),
+  query('type').optional().isIn(TRANSACTION_TYPES).withMessage('Invalid transaction type'),
   query('status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -37,6 +62,7 @@ router.get('/', auth, [
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
+      portfolio: req.portfolio,
       type,
       symbol,
       status,
@@ -47,23 +73,14 @@ router.get('/', auth, [
     const transactions = await Transaction.getUserTransactions(req.user.id, options);
     
     // Get total count for pagination
-    const query = { userId: req.user.id };
-    if (type) query.type = type;
-    if (symbol) query.symbol = symbol.toUpperCase();
-    if (status) query.status = status;
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
-
-    const totalTransactions = await Transaction.countDocuments(query);
+    const totalTransactions = await Transaction.countDocuments(Transaction.buildUserQuery(req.user.id, options));
     const totalPages = Math.ceil(totalTransactions / limit);
 
     res.json({
       success: true,
       transactions: transactions.map(tx => ({
         id: tx._id,
+        portfolioId: tx.portfolioId,
         type: tx.type,
         symbol: tx.symbol,
         name: tx.name,
@@ -92,12 +109,60 @@ router.get('/', auth, [
   }
 });
 
+// @route   GET /api/transactions/export?format=csv|ndjson|ofx
+// @desc    Download the full transaction history, streamed, with the list filters
+// @access  Private
+router.get('/export', auth, resolvePortfolio({ fallbackToDefault: false }), [
+  query('format').optional().isIn(TRANSACTION_EXPORT_FORMATS).withMessage(`Format must be one of ${TRANSACTION_EXPORT_FORMATS.join(', ')}`),
+  query('type').optional().isIn(TRANSACTION_TYPES).withMessage('Invalid transaction type'),
+  query('status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be an ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', type, symbol, status, startDate, endDate } = req.query;
+    const { contentType, extension, stream } = createTransactionExport(
+      req.user.id,
+      { portfolio: req.portfolio, type, symbol, status, startDate, endDate },
+      format
+    );
+
+    res.attachment(`transactions-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.type(contentType);
+
+    await pipeline(stream, res);
+  } catch (error) {
+    // The client went away mid-download
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    console.error('Export transactions error:', error);
+    // Once streaming has started the status is sent; all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/transactions/recent
 // @desc    Get recent transactions
 // @access  Private
-router.get('/recent', auth, async (req, res) => {
+router.get('/recent', auth, resolvePortfolio({ fallbackToDefault: false }), async (req, res) => {
   try {
-    const transactions = await Transaction.find({ userId: req.user.id })
+    const transactions = await Transaction.find(Transaction.buildUserQuery(req.user.id, { portfolio: req.portfolio }))
       .sort({ createdAt: -1 })
       .limit(10);
 
@@ -125,7 +190,7 @@ router.get('/recent', auth, async (req, res) => {
 // @route   GET /api/transactions/stats
 // @desc    Get transaction statistics
 // @access  Private
-router.get('/stats', auth, [
+router.get('/stats', auth, resolvePortfolio({ fallbackToDefault: false }), [
   query('period').optional().isInt({ min: 1, max: 365 }).withMessage('Period must be between 1 and 365 days')
 ], async (req, res) => {
   try {
@@ -139,7 +204,7 @@ router.get('/stats', auth, [
     }
 
     const { period = 30 } = req.query;
-    const stats = await Transaction.getTransactionStats(req.user.id, parseInt(period));
+    const stats = await Transaction.getTransactionStats(req.user.id, parseInt(period), req.portfolio);
 
     // Format stats
     const formattedStats = {
@@ -178,6 +243,83 @@ router.get('/stats', auth, [
   }
 });
 
+// @route   POST /api/transactions/deposit
+// @desc    Deposit cash into a portfolio (the default one without portfolioId)
+// @access  Private
+router.post('/deposit', auth, idempotency, resolvePortfolio(), validateCashMovement, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { transaction, portfolio } = await deposit(req.user.id, parseFloat(req.body.amount), {
+      notes: req.body.notes,
+      portfolioId: req.portfolio._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit completed successfully',
+      ...formatCashMovement(transaction, portfolio)
+    });
+  } catch (error) {
+    console.error('Deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during deposit'
+    });
+  }
+});
+
+// @route   POST /api/transactions/withdraw
+// @desc    Withdraw cash from a portfolio (the default one without portfolioId)
+// @access  Private
+router.post('/withdraw', auth, requireVerified('withdraw'), idempotency, resolvePortfolio(), validateCashMovement, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await withdraw(req.user.id, parseFloat(req.body.amount), {
+        notes: req.body.notes,
+        portfolioId: req.portfolio._id
+      });
+    } catch (withdrawError) {
+      if (withdrawError.status) {
+        return res.status(withdrawError.status).json({
+          success: false,
+          message: withdrawError.message
+        });
+      }
+      throw withdrawError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal completed successfully',
+      ...formatCashMovement(result.transaction, result.portfolio)
+    });
+  } catch (error) {
+    console.error('Withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during withdrawal'
+    });
+  }
+});
+
 // @route   GET /api/transactions/:id
 // @desc    Get specific transaction details
 // @access  Private
@@ -199,17 +341,31 @@ router.get('/:id', auth, async (req, res) => {
       success: true,
       transaction: {
         id: transaction._id,
+        portfolioId: transaction.portfolioId,
+        counterpartyPortfolioId: transaction.counterpartyPortfolioId,
+        transferId: transaction.transferId,
+        simulated: transaction.simulated,
         type: transaction.type,
         symbol: transaction.symbol,
         name: transaction.name,
         amount: transaction.amount,
         price: transaction.price,
+        quotedPrice: transaction.quotedPrice,
+        priceSource: transaction.priceSource,
+        quoteId: transaction.quoteId,
+        recurringPlanId: transaction.recurringPlanId,
         fee: transaction.fee,
         total: transaction.total,
+        costBasis: transaction.costBasis,
+        realizedGain: transaction.realizedGain,
+        costBasisMethod: transaction.costBasisMethod,
+        lotsConsumed: transaction.lotsConsumed,
         status: transaction.status,
         notes: transaction.notes,
         transactionHash: transaction.transactionHash,
         exchangeOrderId: transaction.exchangeOrderId,
+        orderId: transaction.orderId,
+        source: transaction.source,
         createdAt: transaction.createdAt,
         updatedAt: transaction.updatedAt
       }
@@ -228,7 +384,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.put('/:id/cancel', auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOne({
+    let transaction = await Transaction.findOne({
       _id: req.params.id,
       userId: req.user.id,
       status: 'pending'
@@ -241,8 +397,20 @@ router.put('/:id/cancel', auth, async (req, res) => {
       });
     }
 
-    transaction.status = 'cancelled';
-    await transaction.save();
+    if (transaction.orderId) {
+      // Order-backed transactions are cancelled together with their order
+      const result = await cancelOrder(req.user.id, { transactionId: transaction._id });
+      if (!result?.transaction) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transaction is no longer pending'
+        });
+      }
+      transaction = result.transaction;
+    } else {
+      transaction.status = 'cancelled';
+      await transaction.save();
+    }
 
     res.json({
       success: true,
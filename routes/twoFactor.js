@@ -0,0 +1,325 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import rateLimit from 'express-rate-limit';
+import auth from '../middleware/auth.js';
+import {
+  findUserWithTwoFactor,
+  beginEnrolment,
+  generateRecoveryCodes,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
+import { verifyChallengeToken } from '../services/tokenService.js';
+import { createSession } from '../services/sessionService.js';
+import {
+  getLockWaitSeconds,
+  recordLockedAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} from '../services/loginSecurityService.js';
+
+const router = express.Router();
+
+// Rate limiting for second-factor attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many two-factor attempts, please try again later.'
+});
+
+const validateCode = [
+  body('code').trim().matches(/^\d{6}$/).withMessage('A 6-digit authentication code is required')
+];
+
+// Either a TOTP code or a recovery code
+const validateSecondFactor = [
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authentication code or recovery code is required');
+    }
+    return true;
+  })
+];
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment: returns a new secret and otpauth URI
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await beginEnrolment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a first code; returns one-time recovery codes
+// @access  Private
+router.post('/enable', auth, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code: req.body.code });
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA; requires a current code or a recovery code
+// @access  Private
+router.post('/disable', auth, validateSecondFactor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await verifySecondFactor(user, req.body);
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes; requires a current code
+// @access  Private
+router.post('/recovery-codes', auth, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code: req.body.code });
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Exchange a login challenge token and a second factor for session tokens
+// @access  Public
+router.post('/verify', twoFactorLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  ...validateSecondFactor
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let userId;
+    try {
+      userId = verifyChallengeToken(req.body.challengeToken);
+    } catch {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please sign in again'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please sign in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    let lockSeconds = getLockWaitSeconds(user);
+    let method = null;
+    if (lockSeconds > 0) {
+      await recordLockedAttempt(user, req);
+    } else {
+      method = await verifySecondFactor(user, req.body);
+      if (!method) {
+        lockSeconds = await recordFailedLogin(user, req, 'invalid_2fa_code');
+      }
+    }
+
+    if (lockSeconds > 0) {
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(423).json({
+        success: false,
+        message: `Too many failed sign-in attempts. Try again in ${Math.ceil(lockSeconds / 60)} minute(s).`,
+        accountLocked: true,
+        retryAfter: lockSeconds
+      });
+    }
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    await recordSuccessfulLogin(user, req);
+
+    // Update last login
+    await user.updateLastLogin();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      recoveryCodesRemaining: method === 'recovery_code' ? user.twoFactorRecoveryCodes.length : undefined,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isVerified: user.isVerified,
+        role: user.role,
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+export default router;
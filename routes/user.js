@@ -1,7 +1,18 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, validationResult, query, param } from 'express-validator';
 import auth from '../middleware/auth.js';
 import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { COST_BASIS_METHODS } from '../models/TaxLot.js';
+import { issueEmailVerification } from '../services/verificationService.js';
+import { listActiveSessions, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import {
+  requestDeletion,
+  cancelDeletion,
+  buildExport,
+  buildCsvExport,
+  EXPORT_CSV_DATASETS
+} from '../services/accountService.js';
 
 const router = express.Router();
 
@@ -95,12 +106,19 @@ router.put('/profile', auth, validateProfileUpdate, async (req, res) => {
     if (country) updateData.country = country;
     if (timezone) updateData.timezone = timezone;
 
+    const emailChanged = email && email !== req.user.email;
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updateData,
       { new: true, runValidators: true }
     );
 
+    // A new address has to be verified again
+    if (emailChanged) {
+      await issueEmailVerification(user);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -157,9 +175,13 @@ router.put('/password', auth, validatePasswordChange, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere else; this session stays logged in
+    const sessionsRevoked = await revokeAllSessions(user._id, 'password_change', { except: req.user.sessionId });
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      sessionsRevoked
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -175,7 +197,27 @@ router.put('/password', auth, validatePasswordChange, async (req, res) => {
 // @access  Private
 router.put('/preferences', auth, async (req, res) => {
   try {
-    const { emailNotifications, priceAlerts, marketingEmails, twoFactorEnabled } = req.body;
+    const { emailNotifications, priceAlerts, marketingEmails, costBasisMethod, twoFactorEnabled } = req.body;
+
+    if (costBasisMethod !== undefined && !COST_BASIS_METHODS.includes(costBasisMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}`
+      });
+    }
+
+    // 2FA can only change through the enrolment flow, which needs a valid code
+    if (typeof twoFactorEnabled === 'boolean') {
+      const current = await User.findById(req.user.id);
+      if (current.twoFactorEnabled !== twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: twoFactorEnabled
+            ? 'Use /api/auth/2fa/setup and /api/auth/2fa/enable to turn on two-factor authentication'
+            : 'Use /api/auth/2fa/disable with a current code to turn off two-factor authentication'
+        });
+      }
+    }
 
     const updateData = {};
     if (typeof emailNotifications === 'boolean') {
@@ -187,8 +229,8 @@ router.put('/preferences', auth, async (req, res) => {
     if (typeof marketingEmails === 'boolean') {
       updateData['preferences.marketingEmails'] = marketingEmails;
     }
-    if (typeof twoFactorEnabled === 'boolean') {
-      updateData.twoFactorEnabled = twoFactorEnabled;
+    if (costBasisMethod !== undefined) {
+      updateData['preferences.costBasisMethod'] = costBasisMethod;
     }
 
     const user = await User.findByIdAndUpdate(
@@ -212,12 +254,163 @@ router.put('/preferences', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/user/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.user.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/user/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'revoked_by_user', { except: req.user.sessionId });
+
+    res.json({
+      success: true,
+      message: `${revoked} other session(s) signed out`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/user/sessions/:id
+// @desc    Revoke one session (use /api/auth/logout for the current one)
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await revokeSession(req.user.id, req.params.id, 'revoked_by_user');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/user/login-history
+// @desc    Get recent sign-in attempts, successful and failed
+// @access  Private
+router.get('/login-history', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('success').optional().isBoolean().withMessage('Success must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, success } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (success !== undefined) filter.success = success === 'true';
+
+    const [events, totalEvents] = await Promise.all([
+      LoginEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      LoginEvent.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalEvents / limit);
+
+    res.json({
+      success: true,
+      events: events.map(event => ({
+        id: event._id,
+        success: event.success,
+        reason: event.reason,
+        ip: event.ip,
+        device: event.device,
+        userAgent: event.userAgent,
+        country: event.country,
+        newDevice: event.newDevice,
+        newCountry: event.newCountry,
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/user/account
-// @desc    Delete user account
+// @desc    Schedule account deletion; data is purged after a grace period
 // @access  Private
 router.delete('/account', auth, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password } = req.body ?? {};
 
     if (!password) {
       return res.status(400).json({
@@ -238,12 +431,20 @@ router.delete('/account', auth, async (req, res) => {
       });
     }
 
-    // Delete user account
-    await User.findByIdAndDelete(req.user.id);
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const deletionScheduledFor = await requestDeletion(user);
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Log in and restore it before the deletion date to keep it.',
+      deletionScheduledFor
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -254,4 +455,71 @@ router.delete('/account', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/user/account/restore
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post('/account/restore', auth, async (req, res) => {
+  try {
+    const restored = await cancelDeletion(req.user.id);
+
+    if (!restored) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is pending'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/user/export?format=json|csv&dataset=
+// @desc    Download a copy of all account data (JSON), or one dataset as CSV
+// @access  Private
+router.get('/export', auth, [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('dataset')
+    .if(query('format').equals('csv'))
+    .isIn(EXPORT_CSV_DATASETS).withMessage(`Dataset must be one of ${EXPORT_CSV_DATASETS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'json', dataset } = req.query;
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      const csv = await buildCsvExport(req.user.id, dataset);
+      res.attachment(`account-${dataset}-${date}.csv`);
+      return res.type('text/csv').send(csv);
+    }
+
+    const data = await buildExport(req.user.id);
+    res.attachment(`account-export-${date}.json`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
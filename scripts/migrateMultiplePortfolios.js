@@ -0,0 +1,24 @@
+// One-off migration to multiple portfolios per user. Run it before starting a
+// version of the server with named portfolios: until it has run, users whose
+// portfolio predates them cannot load it.
+//
+//   npm run migrate:portfolios
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+
+dotenv.config();
+
+// The migration builds the indexes itself, after dropping the old one they clash with
+mongoose.set('autoIndex', false);
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const migrated = await Portfolio.migrateToMultiplePortfolios();
+  console.log(`Marked ${migrated} existing portfolio(s) as default`);
+} catch (err) {
+  console.error('Portfolio migration error:', err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
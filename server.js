@@ -9,11 +9,28 @@ dotenv.config();
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import userRoutes from './routes/user.js';
 import portfolioRoutes from './routes/portfolio.js';
+import portfoliosRoutes from './routes/portfolios.js';
 import transactionRoutes from './routes/transaction.js';
+import importRoutes from './routes/import.js';
 import adminRoutes from "./routes/admin.js";
-
+import orderRoutes from './routes/order.js';
+import alertRoutes from './routes/alert.js';
+import reportRoutes from './routes/report.js';
+import planRoutes from './routes/plan.js';
+import paperRoutes from './routes/paper.js';
+import { startJobs } from './jobs/index.js';
+import { checkMailConfig } from './services/mailer.js';
+
+// Refuse to start without a way to deliver account emails
+try {
+  checkMailConfig();
+} catch (err) {
+  console.error('Mail configuration error:', err.message);
+  process.exit(1);
+}
 
 const app = express();
 
@@ -36,7 +53,8 @@ app.use(cors({
     }
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"]
 }));
 
 
@@ -48,15 +66,26 @@ app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/portfolios', portfoliosRoutes);
+app.use('/api/transactions/import', importRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use("/api/admin", adminRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/paper', paperRoutes);
 
 
 // Health check endpoint
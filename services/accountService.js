@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Portfolio from '../models/Portfolio.js';
+import PortfolioSnapshot from '../models/PortfolioSnapshot.js';
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import PriceAlert from '../models/PriceAlert.js';
+import Session from '../models/Session.js';
+import LoginEvent from '../models/LoginEvent.js';
+import TaxLot from '../models/TaxLot.js';
+import ImportBatch from '../models/ImportBatch.js';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import RecurringPlan from '../models/RecurringPlan.js';
+import TradeQuote from '../models/TradeQuote.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { toCsv } from '../utils/csv.js';
+import { revokeAllSessions } from './sessionService.js';
+import { TRANSACTION_CSV_COLUMNS } from './transactionExportService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Schedule the account for deletion after the grace period and sign it out
+// everywhere. Returns the date the data will be purged.
+export async function requestDeletion(user) {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + gracePeriodDays() * DAY);
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllSessions(user._id, 'account_deleted');
+
+  return user.deletionScheduledFor;
+}
+
+// Undo a pending deletion; false if none was scheduled
+export async function cancelDeletion(userId) {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $exists: true } },
+    { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Permanently remove a user whose grace period is over. Personal data is deleted;
+// completed transactions are kept for bookkeeping but detached from the person:
+// they move to a random placeholder id and lose their free-text notes.
+// Returns false if the deletion was cancelled or already carried out.
+export async function purgeAccount(userId) {
+  return runInTransaction(async session => {
+    const user = await User.findOneAndDelete(
+      { _id: userId, deletionScheduledFor: { $lte: new Date() } },
+      { session }
+    );
+    if (!user) {
+      return false;
+    }
+
+    await Transaction.updateMany(
+      { userId, status: 'pending' },
+      { status: 'cancelled' },
+      { session }
+    );
+    await Transaction.updateMany(
+      { userId },
+      { userId: new mongoose.Types.ObjectId(), $unset: { notes: 1 } },
+      { session }
+    );
+
+    // One operation at a time: a session cannot run operations in parallel
+    for (const model of [Portfolio, PortfolioSnapshot, Order, PriceAlert, Session, LoginEvent, TaxLot, ImportBatch, IdempotencyKey, RecurringPlan, TradeQuote]) {
+      await model.deleteMany({ userId }, { session });
+    }
+
+    return true;
+  });
+}
+
+// Scheduled job: purge every account whose grace period has ended
+export async function purgeDueAccounts() {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+  let purged = 0;
+
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) {
+        purged++;
+      }
+    } catch (err) {
+      console.error(`Account ${_id} purge error:`, err.message);
+    }
+  }
+
+  return purged;
+}
+
+const HOLDING_CSV_COLUMNS = [
+  { header: 'Portfolio', value: 'portfolio' },
+  { header: 'Portfolio Kind', value: 'kind' },
+  { header: 'Symbol', value: 'symbol' },
+  { header: 'Name', value: 'name' },
+  { header: 'Amount', value: 'amount' },
+  { header: 'Average Price', value: 'averagePrice' },
+  { header: 'Total Invested', value: 'totalInvested' },
+  { header: 'Current Price', value: 'currentPrice' },
+  { header: 'Current Value', value: holding => holding.amount * (holding.currentPrice || holding.averagePrice) }
+];
+
+const LOGIN_HISTORY_CSV_COLUMNS = [
+  { header: 'Date', value: 'createdAt' },
+  { header: 'Result', value: 'reason' },
+  { header: 'IP', value: 'ip' },
+  { header: 'Country', value: 'country' },
+  { header: 'Device', value: 'device' },
+  { header: 'User Agent', value: 'userAgent' }
+];
+
+const RECURRING_PLAN_CSV_COLUMNS = [
+  { header: 'Portfolio', value: 'portfolio' },
+  { header: 'Symbol', value: 'symbol' },
+  { header: 'Name', value: 'name' },
+  { header: 'Amount', value: 'fiatAmount' },
+  { header: 'Cadence', value: 'cadence' },
+  { header: 'Start', value: 'startAt' },
+  { header: 'End', value: 'endAt' },
+  { header: 'Status', value: 'status' },
+  { header: 'Next Run', value: 'nextRunAt' },
+  { header: 'Last Run', value: 'lastRunAt' },
+  { header: 'Created', value: 'createdAt' }
+];
+
+export const EXPORT_CSV_DATASETS = ['transactions', 'holdings', 'recurring-plans', 'login-history'];
+
+// Everything stored about a user, as plain JSON
+export async function buildExport(userId) {
+  const [user, portfolios, transactions, taxLots, orders, alerts, recurringPlans, imports, sessions, loginHistory] = await Promise.all([
+    User.findById(userId).lean(),
+    Portfolio.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Transaction.find({ userId }).sort({ createdAt: 1 }).lean(),
+    TaxLot.find({ userId }).sort({ acquiredAt: 1 }).lean(),
+    Order.find({ userId }).sort({ createdAt: 1 }).lean(),
+    PriceAlert.find({ userId }).sort({ createdAt: 1 }).lean(),
+    RecurringPlan.find({ userId }).sort({ createdAt: 1 }).lean(),
+    ImportBatch.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Session.find({ userId }).select('-refreshTokenHash -previousTokenHashes').sort({ createdAt: 1 }).lean(),
+    LoginEvent.find({ userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      country: user.country,
+      timezone: user.timezone,
+      role: user.role,
+      isVerified: user.isVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      deletionScheduledFor: user.deletionScheduledFor
+    },
+    preferences: user.preferences,
+    portfolios: portfolios.map(portfolio => ({
+      id: portfolio._id,
+      name: portfolio.name,
+      isDefault: portfolio.isDefault,
+      kind: portfolio.kind || 'real',
+      cashBalance: portfolio.cashBalance,
+      totalValue: portfolio.totalValue,
+      totalInvested: portfolio.totalInvested,
+      holdings: portfolio.holdings,
+      targetAllocations: portfolio.targetAllocations
+    })),
+    transactions,
+    taxLots,
+    orders,
+    alerts,
+    recurringPlans,
+    imports,
+    sessions,
+    loginHistory
+  };
+}
+
+// One dataset of the export as CSV
+export async function buildCsvExport(userId, dataset) {
+  switch (dataset) {
+    case 'transactions': {
+      const transactions = await Transaction.find({ userId }).sort({ createdAt: 1 }).lean();
+      return toCsv(transactions, TRANSACTION_CSV_COLUMNS);
+    }
+    case 'holdings': {
+      const portfolios = await Portfolio.find({ userId }).sort({ createdAt: 1 }).lean();
+      const holdings = portfolios.flatMap(portfolio => portfolio.holdings.map(holding => ({ ...holding, portfolio: portfolio.name, kind: portfolio.kind || 'real' })));
+      return toCsv(holdings, HOLDING_CSV_COLUMNS);
+    }
+    case 'recurring-plans': {
+      const [portfolios, plans] = await Promise.all([
+        Portfolio.find({ userId }).lean(),
+        RecurringPlan.find({ userId }).sort({ createdAt: 1 }).lean()
+      ]);
+      // Plans from before named portfolios have no portfolioId and buy in the default one
+      const portfolioName = id => portfolios.find(p => id ? p._id.equals(id) : p.isDefault)?.name;
+      return toCsv(plans.map(plan => ({ ...plan, portfolio: portfolioName(plan.portfolioId) })), RECURRING_PLAN_CSV_COLUMNS);
+    }
+    case 'login-history': {
+      const events = await LoginEvent.find({ userId }).sort({ createdAt: 1 }).lean();
+      return toCsv(events, LOGIN_HISTORY_CSV_COLUMNS);
+    }
+    default:
+      throw new Error(`Unknown export dataset: ${dataset}`);
+  }
+}
@@ -0,0 +1,149 @@
+import PriceAlert from '../models/PriceAlert.js';
+import Portfolio from '../models/Portfolio.js';
+import User from '../models/User.js';
+import { getPrices, getPriceHistory } from './priceService.js';
+import { notify } from './notificationService.js';
+import { priceAt } from './valuation.js';
+
+const MINUTE = 60 * 1000;
+
+function crossed(value, threshold, direction) {
+  if (direction === 'up') return value >= threshold;
+  if (direction === 'down') return value <= -threshold;
+  return Math.abs(value) >= threshold;
+}
+
+const formatPercent = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// Percent move of `symbol` over the last `windowMinutes`, or null without history
+async function percentMove(symbol, windowMinutes, currentPrice, historyCache) {
+  const windowStart = Date.now() - windowMinutes * MINUTE;
+  const key = `${symbol}:${windowMinutes}`;
+  if (!historyCache.has(key)) {
+    const points = await getPriceHistory(symbol, new Date(windowStart), new Date())
+      .catch(() => []);
+    historyCache.set(key, points);
+  }
+
+  const startPrice = priceAt(historyCache.get(key), windowStart);
+  return startPrice ? ((currentPrice - startPrice) / startPrice) * 100 : null;
+}
+
+// Check one alert against the current price. Returns { value, message } when it
+// should fire, or null. `context` carries per-run caches shared between alerts.
+export async function checkAlert(alert, price, context) {
+  switch (alert.kind) {
+    case 'price_above':
+      return price >= alert.threshold
+        ? { value: price, message: `${alert.symbol} rose above ${alert.threshold} (now ${price})` }
+        : null;
+
+    case 'price_below':
+      return price <= alert.threshold
+        ? { value: price, message: `${alert.symbol} fell below ${alert.threshold} (now ${price})` }
+        : null;
+
+    case 'percent_change': {
+      const move = await percentMove(alert.symbol, alert.windowMinutes, price, context.history);
+      return move !== null && crossed(move, alert.threshold, alert.direction)
+        ? { value: move, message: `${alert.symbol} moved ${formatPercent(move)} in the last ${alert.windowMinutes} minutes` }
+        : null;
+    }
+
+    case 'holding_pnl': {
+      const portfolioId = alert.portfolioId ? String(alert.portfolioId) : context.defaultPortfolios.get(String(alert.userId));
+      const holding = context.holdings.get(portfolioId)?.get(alert.symbol);
+      if (!holding || !holding.averagePrice) {
+        return null;
+      }
+      const pnl = ((price - holding.averagePrice) / holding.averagePrice) * 100;
+      return crossed(pnl, alert.threshold, alert.direction)
+        ? { value: pnl, message: `Your ${alert.symbol} position is at ${formatPercent(pnl)} versus your average price` }
+        : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Scheduled evaluation of all active alerts. Alerts of users who switched off
+// the priceAlerts preference stay armed but are not checked. Each alert is
+// claimed with a conditional update before notifying so it only fires once.
+export async function evaluateAlerts() {
+  const alerts = await PriceAlert.find({ status: 'active' });
+  if (alerts.length === 0) {
+    return 0;
+  }
+
+  const userIds = [...new Set(alerts.map(a => String(a.userId)))];
+  const users = await User.find({ _id: { $in: userIds }, 'preferences.priceAlerts': true });
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+
+  // holding_pnl alerts watch their own portfolio, or the default one if they predate named portfolios
+  const pnlAlerts = alerts.filter(a => a.kind === 'holding_pnl');
+  const portfolioIds = [...new Set(pnlAlerts.filter(a => a.portfolioId).map(a => String(a.portfolioId)))];
+  const defaultUserIds = [...new Set(pnlAlerts.filter(a => !a.portfolioId).map(a => String(a.userId)))];
+  const portfolios = pnlAlerts.length > 0
+    ? await Portfolio.find({ $or: [{ _id: { $in: portfolioIds } }, { userId: { $in: defaultUserIds }, isDefault: true }] })
+    : [];
+  const holdings = new Map(portfolios.map(p => [
+    String(p._id),
+    new Map(p.holdings.map(h => [h.symbol, h]))
+  ]));
+  const defaultPortfolios = new Map(portfolios.filter(p => p.isDefault).map(p => [String(p.userId), String(p._id)]));
+
+  const { prices } = await getPrices([...new Set(alerts.map(a => a.symbol))]);
+  const context = { holdings, defaultPortfolios, history: new Map() };
+  let fired = 0;
+
+  for (const alert of alerts) {
+    const user = usersById.get(String(alert.userId));
+    const quote = prices[alert.symbol];
+    // Don't fire on an out-of-date price; the alert is checked again on the next run
+    if (!user || !quote || quote.stale) {
+      continue;
+    }
+
+    try {
+      const hit = await checkAlert(alert, quote.price, context);
+      if (!hit) {
+        await PriceAlert.updateOne({ _id: alert._id }, { lastEvaluatedAt: new Date() });
+        continue;
+      }
+
+      const claimed = await PriceAlert.findOneAndUpdate(
+        { _id: alert._id, status: 'active' },
+        { status: 'triggered', lastEvaluatedAt: new Date() },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const channels = await notify(user, {
+        type: 'price_alert',
+        title: `${alert.symbol} price alert`,
+        message: hit.message,
+        data: { alertId: alert._id, symbol: alert.symbol, kind: alert.kind, price: quote.price, value: hit.value }
+      });
+
+      await PriceAlert.updateOne({ _id: alert._id }, {
+        $push: {
+          triggers: {
+            triggeredAt: new Date(),
+            price: quote.price,
+            value: hit.value,
+            message: hit.message,
+            channels
+          }
+        }
+      });
+      fired++;
+    } catch (err) {
+      console.error(`Alert ${alert._id} evaluation error:`, err.message);
+    }
+  }
+
+  return fired;
+}
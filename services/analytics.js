@@ -0,0 +1,154 @@
+// Pure portfolio risk/return calculations. Series are arrays of
+// { time, value, flow } where `flow` is the net external cash added to the
+// portfolio since the previous point (negative for money taken out).
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Sub-period returns with flows assumed at the end of each sub-period
+export function periodReturns(series) {
+  const returns = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const previous = series[i - 1].value;
+    if (previous > 0) {
+      returns.push((series[i].value - series[i].flow) / previous - 1);
+    } else {
+      returns.push(0);
+    }
+  }
+
+  return returns;
+}
+
+// Time-weighted return: chain-linked sub-period returns, unaffected by deposit timing
+export function timeWeightedReturn(returns) {
+  return returns.reduce((growth, r) => growth * (1 + r), 1) - 1;
+}
+
+// Money-weighted return (XIRR) for the series, as an annualized rate and the
+// equivalent return over the series' own length. Returns null if it cannot be solved.
+export function moneyWeightedReturn(series) {
+  if (series.length < 2) {
+    return null;
+  }
+
+  const start = series[0].time;
+  const end = series[series.length - 1].time;
+  const years = (end - start) / YEAR_MS;
+  if (years <= 0) {
+    return null;
+  }
+
+  // Investor's view: money in is negative, the ending value is received back
+  const cashFlows = [{ time: start, amount: -series[0].value }];
+  series.slice(1).forEach(point => {
+    if (point.flow !== 0) {
+      cashFlows.push({ time: point.time, amount: -point.flow });
+    }
+  });
+  cashFlows.push({ time: end, amount: series[series.length - 1].value });
+
+  const npv = rate => cashFlows.reduce(
+    (sum, cf) => sum + cf.amount / Math.pow(1 + rate, (cf.time - start) / YEAR_MS),
+    0
+  );
+
+  // Bisection is slow but cannot diverge, which matters for short, volatile periods
+  let low = -0.9999;
+  let high = 1000;
+  let npvLow = npv(low);
+  if (!Number.isFinite(npvLow) || npvLow * npv(high) > 0) {
+    return null;
+  }
+
+  let rate = 0;
+  for (let i = 0; i < 200; i++) {
+    rate = (low + high) / 2;
+    const value = npv(rate);
+    if (Math.abs(value) < 1e-9) {
+      break;
+    }
+    if (value * npvLow > 0) {
+      low = rate;
+      npvLow = value;
+    } else {
+      high = rate;
+    }
+  }
+
+  return {
+    annualized: rate,
+    period: Math.pow(1 + rate, years) - 1
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Sample standard deviation of sub-period returns, annualized
+export function volatility(returns, periodsPerYear) {
+  if (returns.length < 2) {
+    return 0;
+  }
+
+  const avg = mean(returns);
+  const variance = returns.reduce((sum, r) => sum + (r - avg) ** 2, 0) / (returns.length - 1);
+
+  return Math.sqrt(variance) * Math.sqrt(periodsPerYear);
+}
+
+// Largest peak-to-trough fall of the time-weighted growth index, as a positive fraction
+export function maxDrawdown(returns) {
+  let index = 1;
+  let peak = 1;
+  let drawdown = 0;
+
+  returns.forEach(r => {
+    index *= 1 + r;
+    peak = Math.max(peak, index);
+    drawdown = Math.max(drawdown, (peak - index) / peak);
+  });
+
+  return drawdown;
+}
+
+// Annualized Sharpe ratio; null when there is no volatility to divide by
+export function sharpeRatio(returns, periodsPerYear, riskFreeRate = 0) {
+  const vol = volatility(returns, periodsPerYear);
+  if (returns.length < 2 || vol === 0) {
+    return null;
+  }
+
+  const annualizedMean = mean(returns) * periodsPerYear;
+  return (annualizedMean - riskFreeRate) / vol;
+}
+
+// Herfindahl-Hirschman concentration of position values.
+// `normalized` rescales the index to 0 (equal weights) .. 1 (single asset).
+export function concentration(values) {
+  const positive = values.filter(v => v > 0);
+  const total = positive.reduce((sum, v) => sum + v, 0);
+
+  if (total === 0) {
+    return { herfindahlIndex: 0, normalized: 0, effectiveHoldings: 0 };
+  }
+
+  const hhi = positive.reduce((sum, v) => sum + (v / total) ** 2, 0);
+  const n = positive.length;
+
+  return {
+    herfindahlIndex: hhi,
+    normalized: n > 1 ? (hhi - 1 / n) / (1 - 1 / n) : 1,
+    effectiveHoldings: 1 / hhi
+  };
+}
+
+// Modified Dietz denominator: starting value plus flows weighted by time invested
+export function dietzDenominator(startValue, flows, start, end) {
+  const length = end - start;
+  return flows.reduce((sum, flow) => {
+    const weight = length > 0 ? (end - flow.time) / length : 0;
+    return sum + flow.amount * weight;
+  }, startValue);
+}
@@ -0,0 +1,59 @@
+import Portfolio, { CASH_SYMBOL, CASH_NAME } from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { TradeError } from './tradeService.js';
+
+export { CASH_SYMBOL, CASH_NAME };
+
+// Apply a cash movement to a portfolio (the default one without `portfolioId`)
+// and record it as one MongoDB transaction
+function moveCash(userId, type, amount, { notes, portfolioId } = {}) {
+  return runInTransaction(async (session) => {
+    const portfolio = await Portfolio.findForUser(userId, portfolioId, { session });
+    if (!portfolio) {
+      throw new TradeError('Portfolio not found', 404);
+    }
+    if (portfolio.isPaper) {
+      throw new TradeError('Paper portfolios hold simulated cash only; reset the paper balance instead');
+    }
+
+    if (type === 'deposit') {
+      portfolio.creditCash(amount);
+    } else {
+      try {
+        portfolio.debitCash(amount);
+      } catch (balanceError) {
+        throw new TradeError(balanceError.message);
+      }
+    }
+
+    await portfolio.save({ session });
+
+    const [transaction] = await Transaction.create([{
+      userId,
+      portfolioId: portfolio._id,
+      type,
+      symbol: CASH_SYMBOL,
+      name: CASH_NAME,
+      amount,
+      price: 1,
+      fee: 0,
+      total: amount,
+      status: 'completed',
+      notes
+    }], { session });
+
+    return { portfolio, transaction };
+  });
+}
+
+// Credit the user's cash balance and record a completed deposit
+export function deposit(userId, amount, options) {
+  return moveCash(userId, 'deposit', amount, options);
+}
+
+// Debit the user's cash balance and record a completed withdrawal.
+// Throws a TradeError if the balance does not cover the amount.
+export function withdraw(userId, amount, options) {
+  return moveCash(userId, 'withdrawal', amount, options);
+}
@@ -0,0 +1,48 @@
+import { sendMail } from './mailer.js';
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+export function sendVerificationEmail(user, token, expiresInHours) {
+  const url = `${clientUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm your email address by opening this link within ${expiresInHours} hours:`,
+      url
+    ].join('\n')
+  });
+}
+
+export function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const url = `${clientUrl()}/reset-password/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `We received a request to reset your password. Open this link within ${expiresInMinutes} minutes to choose a new one:`,
+      url,
+      '',
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ].join('\n')
+  });
+}
+
+export function sendPasswordChangedEmail(user) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your password was just reset and all other sessions were signed out.',
+      'If this was not you, contact support immediately.'
+    ].join('\n')
+  });
+}
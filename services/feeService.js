@@ -0,0 +1,102 @@
+import FeeSchedule from '../models/FeeSchedule.js';
+import Transaction from '../models/Transaction.js';
+
+const VOLUME_WINDOW_DAYS = 30;
+
+let scheduleCache = null;
+let scheduleLoadedAt = 0;
+
+const round = value => Math.round(value * 1e8) / 1e8;
+
+const scheduleTtl = () => {
+  const ttl = parseFloat(process.env.FEE_SCHEDULE_TTL_MS);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : 60 * 1000;
+};
+
+// The active fee schedule, cached briefly
+export async function getFeeSchedule() {
+  if (!scheduleCache || Date.now() - scheduleLoadedAt > scheduleTtl()) {
+    scheduleCache = await FeeSchedule.getActive();
+    scheduleLoadedAt = Date.now();
+  }
+  return scheduleCache;
+}
+
+// Forget the cached schedule, e.g. after an admin edits it
+export function invalidateFeeSchedule() {
+  scheduleCache = null;
+}
+
+// Resting limit orders add liquidity (maker); market, stop-loss and take-profit
+// orders take it (taker)
+export const orderLiquidity = orderType => (orderType === 'limit' || orderType === 'stop_limit' ? 'maker' : 'taker');
+
+// Buy and sell volume (USD) over the last 30 days. Only trades executed here
+// count: imported rows carry user-supplied prices, and admin entries are corrections.
+export async function getTradingVolume(userId) {
+  const stats = await Transaction.getTransactionStats(userId, VOLUME_WINDOW_DAYS, undefined, { excludeSources: ['import', 'admin'] });
+  return round(stats
+    .filter(stat => stat._id === 'buy' || stat._id === 'sell')
+    .reduce((sum, stat) => sum + stat.totalAmount, 0));
+}
+
+export function tierForVolume(schedule, volume) {
+  const tiers = [...schedule.tiers].sort((a, b) => a.minVolume - b.minVolume);
+  const index = tiers.findLastIndex(tier => volume >= tier.minVolume);
+  return { tier: tiers[Math.max(index, 0)], nextTier: tiers[index + 1] || null };
+}
+
+// The user's tier and how much more volume the next one needs
+export async function getFeeTier(userId) {
+  const [schedule, volume] = await Promise.all([getFeeSchedule(), getTradingVolume(userId)]);
+  const { tier, nextTier } = tierForVolume(schedule, volume);
+
+  return {
+    volume,
+    windowDays: VOLUME_WINDOW_DAYS,
+    tier,
+    nextTier,
+    volumeToNextTier: nextTier ? round(nextTier.minVolume - volume) : null
+  };
+}
+
+// Promotions running at `at` for `symbol`; the biggest discount wins
+export function activePromotions(schedule, symbol, at = new Date()) {
+  return schedule.promotions
+    .filter(promotion => promotion.startsAt <= at && promotion.endsAt > at)
+    .filter(promotion => !symbol || promotion.symbols.length === 0 || promotion.symbols.includes(symbol))
+    .sort((a, b) => b.discount - a.discount);
+}
+
+// Fee for a trade of `amount` at `price`. Rates come from a per-symbol entry if
+// there is one, otherwise from the user's volume tier; a running promotion then
+// discounts the fee, and the schedule minimum applies to whatever is left.
+export async function quoteFee(userId, { symbol, amount, price, liquidity = 'taker' }) {
+  const schedule = await getFeeSchedule();
+  const upperSymbol = symbol.toUpperCase();
+  const notional = amount * price;
+
+  const symbolRate = schedule.symbolRates.find(entry => entry.symbol === upperSymbol);
+  const { tier } = symbolRate ? { tier: null } : tierForVolume(schedule, await getTradingVolume(userId));
+  const rateSource = symbolRate || tier;
+  const rate = liquidity === 'maker' ? rateSource.makerRate : rateSource.takerRate;
+
+  const [promotion] = activePromotions(schedule, upperSymbol);
+  let fee = notional * rate * (1 - (promotion?.discount || 0));
+
+  const minimumFeeApplied = fee > 0 && fee < schedule.minimumFee;
+  if (minimumFeeApplied) {
+    fee = schedule.minimumFee;
+  }
+
+  return {
+    fee: round(fee),
+    rate,
+    effectiveRate: notional > 0 ? fee / notional : 0,
+    liquidity,
+    tier: tier?.name,
+    symbolRate: Boolean(symbolRate),
+    promotion: promotion ? { name: promotion.name, discount: promotion.discount, endsAt: promotion.endsAt } : null,
+    minimumFeeApplied
+  };
+}
@@ -0,0 +1,42 @@
+import { amountCurrency, hasHeaders, parseDate, parseNumber, parseSide, splitPair } from './helpers.js';
+
+// Binance "Trade History" export:
+// Date(UTC),Pair,Side,Price,Executed,Amount,Fee
+// Executed and Fee carry their currency, e.g. "0.5BTC" and "0.0004BNB".
+const binance = {
+  name: 'binance',
+
+  detect: headers => hasHeaders(headers, ['Date(UTC)', 'Pair', 'Side', 'Price', 'Executed', 'Fee']),
+
+  parseRecord(record) {
+    const { base, quote } = splitPair(record.Pair);
+    const price = parseNumber(record.Price, 'Price');
+    const feeAmount = parseNumber(record.Fee, 'Fee');
+    const feeCurrency = amountCurrency(record.Fee);
+
+    // Fees are valued in the quote currency; fees paid in a third asset (BNB
+    // discounts) cannot be valued from the file and are left out
+    let fee = 0;
+    const warnings = [];
+    if (feeCurrency === quote || !feeCurrency) {
+      fee = feeAmount;
+    } else if (feeCurrency === base) {
+      fee = feeAmount * price;
+    } else if (feeAmount > 0) {
+      warnings.push(`Fee paid in ${feeCurrency} was not included`);
+    }
+
+    return {
+      type: parseSide(record.Side),
+      symbol: base,
+      quote,
+      amount: parseNumber(record.Executed, 'Executed'),
+      price,
+      fee,
+      date: parseDate(record['Date(UTC)']),
+      warnings
+    };
+  }
+};
+
+export default binance;
@@ -0,0 +1,43 @@
+import { hasHeaders, normalizeSymbol, parseDate, parseNumber } from './helpers.js';
+
+// Coinbase "Transaction history" export:
+// ID,Timestamp,Transaction Type,Asset,Quantity Transacted,Price Currency,Price at Transaction,
+// Subtotal,Total (inclusive of fees and/or spread),Fees and/or Spread,Notes
+// Older exports name the price columns "Spot Price Currency" / "Spot Price at Transaction".
+const TRADE_TYPES = {
+  'buy': 'buy',
+  'advanced trade buy': 'buy',
+  'sell': 'sell',
+  'advanced trade sell': 'sell'
+};
+
+const coinbase = {
+  name: 'coinbase',
+
+  detect: headers => hasHeaders(headers, ['Timestamp', 'Transaction Type', 'Asset', 'Quantity Transacted']),
+
+  parseRecord(record) {
+    const type = TRADE_TYPES[record['Transaction Type']?.toLowerCase()];
+    if (!type) {
+      return { skip: `${record['Transaction Type'] || 'Unknown'} transactions are not imported` };
+    }
+
+    const price = record['Price at Transaction'] ?? record['Spot Price at Transaction'];
+    const quote = record['Price Currency'] ?? record['Spot Price Currency'];
+    const fee = record['Fees and/or Spread'];
+
+    return {
+      type,
+      symbol: normalizeSymbol(record.Asset),
+      quote: normalizeSymbol(quote),
+      amount: Math.abs(parseNumber(record['Quantity Transacted'], 'Quantity Transacted')),
+      price: parseNumber(price, 'Price at Transaction'),
+      fee: fee ? Math.abs(parseNumber(fee, 'Fees and/or Spread')) : 0,
+      date: parseDate(record.Timestamp, 'Timestamp'),
+      exchangeOrderId: record.ID || undefined,
+      notes: record.Notes || undefined
+    };
+  }
+};
+
+export default coinbase;
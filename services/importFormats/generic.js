@@ -0,0 +1,43 @@
+import { normalizeSymbol, parseDate, parseNumber, parseSide } from './helpers.js';
+
+export const GENERIC_FIELDS = ['date', 'type', 'symbol', 'amount', 'price', 'fee', 'name', 'exchangeOrderId', 'transactionHash', 'notes'];
+export const GENERIC_REQUIRED_FIELDS = ['date', 'type', 'symbol', 'amount', 'price'];
+
+// Any CSV, with a `mapping` from our field names to the file's column headers,
+// e.g. { date: 'Time', type: 'Side', symbol: 'Coin', amount: 'Qty', price: 'Price' }
+const generic = {
+  name: 'generic',
+
+  // Never auto-detected: it needs a mapping
+  detect: () => false,
+
+  validateMapping(mapping, headers) {
+    const missing = GENERIC_REQUIRED_FIELDS.filter(field => !mapping?.[field]);
+    if (missing.length > 0) {
+      return `Column mapping is missing: ${missing.join(', ')}`;
+    }
+    const unknown = Object.entries(mapping)
+      .filter(([field, column]) => GENERIC_FIELDS.includes(field) && column && !headers.includes(column))
+      .map(([, column]) => column);
+    return unknown.length > 0 ? `Columns not found in file: ${unknown.join(', ')}` : null;
+  },
+
+  parseRecord(record, { mapping }) {
+    const value = field => (mapping[field] ? record[mapping[field]] : undefined);
+
+    return {
+      type: parseSide(value('type')),
+      symbol: normalizeSymbol(value('symbol')),
+      name: value('name') || undefined,
+      amount: parseNumber(value('amount'), 'Amount'),
+      price: parseNumber(value('price'), 'Price'),
+      fee: value('fee') ? parseNumber(value('fee'), 'Fee') : 0,
+      date: parseDate(value('date')),
+      exchangeOrderId: value('exchangeOrderId') || undefined,
+      transactionHash: value('transactionHash') || undefined,
+      notes: value('notes') || undefined
+    };
+  }
+};
+
+export default generic;
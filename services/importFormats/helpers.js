@@ -0,0 +1,76 @@
+// Shared parsing helpers for exchange CSV formats
+
+// Quote currencies recognised at the end of a trading pair, longest first
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'USD', 'EUR', 'GBP', 'BTC', 'ETH', 'BNB'];
+
+// Exchange-specific asset codes mapped to the symbols we use
+const SYMBOL_ALIASES = {
+  XBT: 'BTC',
+  XXBT: 'BTC',
+  XETH: 'ETH',
+  XDG: 'DOGE',
+  XXDG: 'DOGE',
+  ZUSD: 'USD',
+  ZEUR: 'EUR',
+  ZGBP: 'GBP'
+};
+
+export const normalizeSymbol = symbol => {
+  const upper = String(symbol || '').trim().toUpperCase();
+  return SYMBOL_ALIASES[upper] || upper;
+};
+
+// "1,234.50", "$1234.5", "0.5BTC" -> number; throws on anything else
+export function parseNumber(value, label) {
+  const cleaned = String(value ?? '').replace(/[$€£,\s]/g, '').replace(/[A-Za-z]+$/, '');
+  const number = Number(cleaned);
+  if (cleaned === '' || !Number.isFinite(number)) {
+    throw new Error(`${label} "${value}" is not a number`);
+  }
+  return number;
+}
+
+// Currency suffix of an amount like "0.001BNB", or null
+export const amountCurrency = value => String(value ?? '').trim().match(/[A-Za-z]+$/)?.[0]?.toUpperCase() || null;
+
+export function parseDate(value, label = 'Date') {
+  const text = String(value ?? '').trim();
+  // "2024-03-01 12:30:00" without a zone is UTC in every format we read
+  const iso = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+  const date = new Date(iso);
+  if (!text || Number.isNaN(date.getTime())) {
+    throw new Error(`${label} "${value}" is not a valid date`);
+  }
+  return date;
+}
+
+// "BTCUSDT", "BTC/USD", "BTC-USD", "XXBTZUSD" -> { base, quote }
+export function splitPair(pair) {
+  const text = String(pair || '').trim().toUpperCase();
+
+  const separated = text.split(/[/\-_]/);
+  if (separated.length === 2 && separated[0] && separated[1]) {
+    return { base: normalizeSymbol(separated[0]), quote: normalizeSymbol(separated[1]) };
+  }
+
+  // Kraken's legacy 8-letter pairs: X<base>Z<quote>
+  if (/^X[A-Z]{3}Z[A-Z]{3}$/.test(text)) {
+    return { base: normalizeSymbol(text.slice(0, 4)), quote: normalizeSymbol(text.slice(4)) };
+  }
+
+  const quote = QUOTE_CURRENCIES.find(code => text.endsWith(code) && text.length > code.length);
+  if (!quote) {
+    throw new Error(`Trading pair "${pair}" is not recognised`);
+  }
+  return { base: normalizeSymbol(text.slice(0, -quote.length)), quote };
+}
+
+export function parseSide(value) {
+  const side = String(value || '').trim().toLowerCase();
+  if (side === 'buy' || side === 'sell') {
+    return side;
+  }
+  throw new Error(`Side "${value}" must be buy or sell`);
+}
+
+export const hasHeaders = (headers, required) => required.every(name => headers.includes(name));
@@ -0,0 +1,27 @@
+import { hasHeaders, parseDate, parseNumber, parseSide, splitPair } from './helpers.js';
+
+// Kraken "Trades" export:
+// txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol,margin,misc,ledgers
+// The fee is in the quote currency.
+const kraken = {
+  name: 'kraken',
+
+  detect: headers => hasHeaders(headers, ['txid', 'pair', 'time', 'type', 'price', 'fee', 'vol']),
+
+  parseRecord(record) {
+    const { base, quote } = splitPair(record.pair);
+
+    return {
+      type: parseSide(record.type),
+      symbol: base,
+      quote,
+      amount: parseNumber(record.vol, 'vol'),
+      price: parseNumber(record.price, 'price'),
+      fee: parseNumber(record.fee || 0, 'fee'),
+      date: parseDate(record.time, 'time'),
+      exchangeOrderId: record.txid || undefined
+    };
+  }
+};
+
+export default kraken;
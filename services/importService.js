@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import ImportBatch from '../models/ImportBatch.js';
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { parseCsv } from '../utils/csv.js';
+import { getAssetRegistry } from './priceService.js';
+import { getCostBasisMethod, openLot, consumeLots } from './lotService.js';
+import binance from './importFormats/binance.js';
+import coinbase from './importFormats/coinbase.js';
+import kraken from './importFormats/kraken.js';
+import generic from './importFormats/generic.js';
+
+// Registered CSV formats, keyed by name. A format is an object with a `name`,
+// `detect(headers)` and `parseRecord(record, { mapping })` returning a trade
+// { type, symbol, amount, price, fee, date, quote?, name?, exchangeOrderId?,
+// transactionHash?, notes?, warnings? } or { skip: reason }, and throwing on bad data.
+const formats = new Map();
+
+// Portfolio values are in USD, so only trades quoted in USD or a USD stablecoin can be mirrored
+const USD_QUOTES = ['USD', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI'];
+
+const DUST = 1e-10;
+
+// An import request that cannot be carried out; `status` is the HTTP status to answer with
+export class ImportError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function registerImportFormat(format) {
+  if (!format || !format.name || typeof format.parseRecord !== 'function' || typeof format.detect !== 'function') {
+    throw new Error('Import format must have a name, a detect function and a parseRecord function');
+  }
+  formats.set(format.name, format);
+}
+
+registerImportFormat(binance);
+registerImportFormat(coinbase);
+registerImportFormat(kraken);
+registerImportFormat(generic);
+
+export const getImportFormats = () => [...formats.keys()];
+
+const maxRows = () => parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+const previewTtlMinutes = () => parseInt(process.env.IMPORT_PREVIEW_TTL_MINUTES) || 60;
+
+function resolveFormat(name, headers) {
+  if (name) {
+    const format = formats.get(name);
+    if (!format) {
+      throw new ImportError(`Unknown import format: ${name}`);
+    }
+    return format;
+  }
+
+  const detected = [...formats.values()].find(format => format.detect(headers));
+  if (!detected) {
+    throw new ImportError('Could not recognise the file format; choose a format, or "generic" with a column mapping', 400, {
+      formats: getImportFormats(),
+      headers
+    });
+  }
+  return detected;
+}
+
+// Stable id for rows whose exchange gives none, so re-importing the same file is caught
+function fingerprint(formatName, trade) {
+  const key = [trade.type, trade.symbol, trade.amount, trade.price, trade.date.toISOString()].join('|');
+  return `import:${formatName}:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+}
+
+function parseRow(format, record, mapping, assetNames) {
+  const row = { line: record.__line, validationErrors: [], warnings: [] };
+
+  let trade;
+  try {
+    trade = format.parseRecord(record, { mapping });
+  } catch (parseError) {
+    return { ...row, status: 'invalid', validationErrors: [parseError.message] };
+  }
+  if (trade.skip) {
+    return { ...row, status: 'skipped', warnings: [trade.skip] };
+  }
+
+  const { quote, warnings = [], ...fields } = trade;
+  Object.assign(row, fields, { warnings });
+  row.name = row.name || assetNames.get(row.symbol) || row.symbol;
+
+  if (!row.symbol) row.validationErrors.push('Symbol is missing');
+  if (!(row.amount > 0)) row.validationErrors.push('Amount must be positive');
+  if (!(row.price > 0)) row.validationErrors.push('Price must be positive');
+  if (!(row.fee >= 0)) row.validationErrors.push('Fee cannot be negative');
+  if (row.date > new Date()) row.validationErrors.push('Date is in the future');
+  if (quote && !USD_QUOTES.includes(quote)) {
+    row.validationErrors.push(`Only USD-quoted trades can be imported (quoted in ${quote})`);
+  }
+
+  if (row.validationErrors.length === 0 && !row.exchangeOrderId && !row.transactionHash) {
+    row.exchangeOrderId = fingerprint(format.name, row);
+  }
+
+  row.status = row.validationErrors.length > 0 ? 'invalid' : 'valid';
+  return row;
+}
+
+// Mark rows already imported (or repeated within the file) as duplicates
+async function markDuplicates(userId, rows, session = null) {
+  const candidates = rows.filter(row => row.status === 'valid');
+  const orderIds = candidates.map(row => row.exchangeOrderId).filter(Boolean);
+  const hashes = candidates.map(row => row.transactionHash).filter(Boolean);
+
+  const existing = await Transaction.find({
+    userId,
+    $or: [{ exchangeOrderId: { $in: orderIds } }, { transactionHash: { $in: hashes } }]
+  }).select('exchangeOrderId transactionHash').session(session).lean();
+
+  const seen = new Set(existing.flatMap(tx => [tx.exchangeOrderId, tx.transactionHash]).filter(Boolean));
+
+  for (const row of candidates) {
+    const keys = [row.exchangeOrderId, row.transactionHash].filter(Boolean);
+    if (keys.some(key => seen.has(key))) {
+      row.status = 'duplicate';
+      row.validationErrors.push('Already imported');
+    }
+    keys.forEach(key => seen.add(key));
+  }
+}
+
+const chronological = rows => rows
+  .filter(row => row.status === 'valid')
+  .sort((a, b) => a.date - b.date || a.line - b.line);
+
+// Replay valid rows against the current holdings so sells that would exceed the
+// amount held at that point are reported in the preview, not at import time
+function markOversells(portfolio, rows) {
+  const held = new Map((portfolio?.holdings || []).map(h => [h.symbol, h.amount]));
+
+  for (const row of chronological(rows)) {
+    const amount = held.get(row.symbol) || 0;
+    if (row.type === 'buy') {
+      held.set(row.symbol, amount + row.amount);
+    } else if (row.amount > amount + DUST) {
+      row.status = 'invalid';
+      row.validationErrors.push(`Sells ${row.amount} ${row.symbol} but only ${amount} is held at that point`);
+    } else {
+      held.set(row.symbol, amount - row.amount);
+    }
+  }
+}
+
+export function summarizeRows(rows) {
+  const summary = { total: rows.length, valid: 0, invalid: 0, duplicate: 0, skipped: 0 };
+  rows.forEach(row => summary[row.status]++);
+  return summary;
+}
+
+// Parse an uploaded CSV and store the result for review. Nothing is applied yet.
+export async function previewImport(userId, { portfolio, csv, format: formatName, mapping, fileName }) {
+  if (portfolio.isPaper) {
+    throw new ImportError('Trades cannot be imported into a paper portfolio');
+  }
+
+  const { headers, records } = parseCsv(csv);
+  if (records.length === 0) {
+    throw new ImportError('The file contains no rows');
+  }
+  if (records.length > maxRows()) {
+    throw new ImportError(`Files are limited to ${maxRows()} rows; split the file and import it in parts`);
+  }
+
+  const format = resolveFormat(formatName, headers);
+  if (format.validateMapping) {
+    const mappingError = format.validateMapping(mapping, headers);
+    if (mappingError) {
+      throw new ImportError(mappingError, 400, { headers });
+    }
+  }
+
+  const registry = await getAssetRegistry();
+  const assetNames = new Map(Object.values(registry).map(asset => [asset.symbol, asset.name]));
+
+  const rows = records.map(record => parseRow(format, record, mapping, assetNames));
+  await markDuplicates(userId, rows);
+  markOversells(portfolio, rows);
+
+  return ImportBatch.create({
+    userId,
+    portfolioId: portfolio._id,
+    format: format.name,
+    fileName,
+    rows,
+    expiresAt: new Date(Date.now() + previewTtlMinutes() * 60 * 1000)
+  });
+}
+
+// Apply a previewed import: every valid row becomes a completed Transaction and is
+// replayed through the holdings in chronological order, opening and consuming tax
+// lots like a trade would. Imported trades happened elsewhere, so cash is untouched.
+// All rows are applied in one MongoDB transaction, or none are.
+export async function confirmImport(userId, batchId) {
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: batchId, userId, status: 'previewed', expiresAt: { $gt: new Date() } },
+    { status: 'importing' },
+    { new: true }
+  );
+  if (!batch) {
+    const existing = await ImportBatch.findOne({ _id: batchId, userId });
+    if (!existing) {
+      return null;
+    }
+    throw new ImportError(
+      existing.status === 'previewed' ? 'This preview has expired, please upload the file again' : `Import is already ${existing.status}`,
+      409
+    );
+  }
+
+  try {
+    const imported = await runInTransaction(async session => {
+      const rows = batch.rows.map(row => row.toObject());
+      // Another import may have landed since the preview
+      await markDuplicates(userId, rows, session);
+
+      const portfolio = await Portfolio.findForUser(userId, batch.portfolioId, { session });
+      if (!portfolio) {
+        throw new ImportError('The portfolio for this import no longer exists', 409);
+      }
+      const method = await getCostBasisMethod(userId, session);
+      let count = 0;
+
+      for (const row of chronological(rows)) {
+        const holding = portfolio.holdings.find(h => h.symbol === row.symbol);
+        const heldAmount = holding?.amount || 0;
+        const averagePrice = holding?.averagePrice || 0;
+        const total = row.type === 'buy' ? row.amount * row.price + row.fee : row.amount * row.price - row.fee;
+
+        // The preview checked sells against the holdings at the time; they may have changed since
+        if (row.type === 'sell' && heldAmount < row.amount) {
+          throw new ImportError(`Line ${row.line}: Insufficient holdings to sell`, 409);
+        }
+
+        try {
+          portfolio.addOrUpdateHolding(row.symbol, row.name, row.amount, row.price, row.type);
+        } catch (holdingError) {
+          throw new ImportError(`Line ${row.line}: ${holdingError.message}`, 409);
+        }
+
+        const fields = {
+          userId,
+          portfolioId: portfolio._id,
+          type: row.type,
+          symbol: row.symbol,
+          name: row.name,
+          amount: row.amount,
+          price: row.price,
+          fee: row.fee,
+          total,
+          status: 'completed',
+          notes: row.notes,
+          exchangeOrderId: row.exchangeOrderId,
+          transactionHash: row.transactionHash,
+          source: 'import',
+          importBatchId: batch._id,
+          createdAt: row.date,
+          executedAt: row.date
+        };
+
+        if (row.type === 'sell') {
+          const { costBasis, lots } = await consumeLots(session, {
+            userId,
+            portfolio,
+            symbol: row.symbol,
+            amount: row.amount,
+            method,
+            heldAmount,
+            averagePrice
+          });
+          Object.assign(fields, {
+            costBasis,
+            realizedGain: total - costBasis,
+            costBasisMethod: method,
+            lotsConsumed: lots
+          });
+        }
+
+        const [transaction] = await Transaction.create([fields], { session });
+
+        if (row.type === 'buy') {
+          await openLot(session, {
+            userId,
+            portfolioId: portfolio._id,
+            symbol: row.symbol,
+            amount: row.amount,
+            price: row.price,
+            fee: row.fee,
+            transactionId: transaction._id,
+            acquiredAt: row.date
+          });
+        }
+        count++;
+      }
+
+      await portfolio.save({ session });
+      return count;
+    });
+
+    batch.status = 'completed';
+    batch.importedCount = imported;
+    batch.completedAt = new Date();
+    await batch.save();
+    return batch;
+  } catch (error) {
+    batch.status = 'failed';
+    batch.error = error.message;
+    await batch.save();
+    throw error;
+  }
+}
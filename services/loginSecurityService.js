@@ -0,0 +1,119 @@
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { getClientInfo } from './sessionService.js';
+import { notify } from './notificationService.js';
+
+const MINUTE = 60 * 1000;
+
+// Failures allowed before the first lockout, from LOGIN_LOCKOUT_THRESHOLD
+const lockoutThreshold = () => parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const lockoutBaseMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+const lockoutMaxMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Country code header set by the CDN or proxy in front of the API (e.g. Cloudflare's
+// CF-IPCountry). Without one, country-based anomaly detection is skipped.
+const countryHeader = () => process.env.GEOIP_COUNTRY_HEADER || 'CF-IPCountry';
+
+function requestCountry(req) {
+  const country = req.get(countryHeader())?.trim().toUpperCase();
+  // XX is Cloudflare's "unknown"; its T1 (Tor) marker fails the pattern
+  return country && /^[A-Z]{2}$/.test(country) && country !== 'XX' ? country : undefined;
+}
+
+// Lock duration after `attempts` consecutive failures: none below the threshold,
+// then the base duration doubling with every further failure, up to the cap
+export function lockoutMinutes(attempts) {
+  const over = attempts - lockoutThreshold();
+  if (over < 0) {
+    return 0;
+  }
+  return Math.min(lockoutBaseMinutes() * 2 ** over, lockoutMaxMinutes());
+}
+
+// Seconds until a locked account may try again (0 = not locked)
+export function getLockWaitSeconds(user) {
+  return user.isLocked() ? Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000) : 0;
+}
+
+function recordEvent(user, req, fields) {
+  const { userAgent, device, ip } = getClientInfo(req);
+  return LoginEvent.create({
+    userId: user._id,
+    ip,
+    userAgent,
+    device,
+    country: requestCountry(req),
+    ...fields
+  });
+}
+
+// A login was refused while the account is locked
+export async function recordLockedAttempt(user, req) {
+  await recordEvent(user, req, { success: false, reason: 'account_locked' });
+}
+
+// Count a wrong password or second-factor code against the account, locking it
+// once the threshold is reached. Returns the lock wait in seconds (0 = not locked).
+export async function recordFailedLogin(user, req, reason = 'invalid_password') {
+  await recordEvent(user, req, { success: false, reason });
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  const minutes = lockoutMinutes(updated.failedLoginAttempts);
+  if (minutes === 0) {
+    return 0;
+  }
+
+  updated.lockUntil = new Date(Date.now() + minutes * MINUTE);
+  await updated.save({ validateBeforeSave: false });
+
+  notify(updated, {
+    type: 'account_locked',
+    title: 'Your account has been temporarily locked',
+    message: `After ${updated.failedLoginAttempts} failed sign-in attempts your account is locked for ${minutes} minutes. If this wasn't you, reset your password once the lock expires.`,
+    data: { attempts: updated.failedLoginAttempts, lockUntil: updated.lockUntil },
+    security: true
+  }).catch(err => console.error('Lockout notification error:', err.message));
+
+  return minutes * 60;
+}
+
+// Record a completed login, clear the failure counter and notify the user when it
+// came from a device or country not seen on any earlier successful login
+export async function recordSuccessfulLogin(user, req) {
+  const { device } = getClientInfo(req);
+  const country = requestCountry(req);
+
+  const [hasHistory, knownDevice, knownCountry] = await Promise.all([
+    LoginEvent.exists({ userId: user._id, success: true }),
+    LoginEvent.exists({ userId: user._id, success: true, device }),
+    country ? LoginEvent.exists({ userId: user._id, success: true, country }) : true
+  ]);
+
+  // The very first login has nothing to compare against
+  const newDevice = Boolean(hasHistory && !knownDevice);
+  const newCountry = Boolean(hasHistory && !knownCountry);
+
+  const event = await recordEvent(user, req, { success: true, reason: 'success', newDevice, newCountry });
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+  }
+
+  if (newDevice || newCountry) {
+    const where = [newDevice && device, newCountry && `from ${country}`].filter(Boolean).join(', ');
+    notify(user, {
+      type: 'new_login',
+      title: 'New sign-in to your account',
+      message: `Your account was just signed in to (${where}, IP ${event.ip}). If this wasn't you, change your password and sign out your other sessions.`,
+      data: { loginEventId: event._id, device, country, ip: event.ip },
+      security: true
+    }).catch(err => console.error('New login notification error:', err.message));
+  }
+
+  return event;
+}
@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import TaxLot, { COST_BASIS_METHODS } from '../models/TaxLot.js';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+
+// Amounts below this are float noise and count as zero
+const DUST = 1e-10;
+
+const round = value => Math.round(value * 1e8) / 1e8;
+
+export async function getCostBasisMethod(userId, session) {
+  const user = await User.findById(userId).select('preferences.costBasisMethod').session(session);
+  const method = user?.preferences?.costBasisMethod;
+  return COST_BASIS_METHODS.includes(method) ? method : 'fifo';
+}
+
+// Record a buy as a new lot; the fee is part of the cost basis
+export async function openLot(session, { userId, portfolioId, symbol, amount, price, fee = 0, transactionId, acquiredAt = new Date() }) {
+  const [lot] = await TaxLot.create([{
+    userId,
+    portfolioId,
+    symbol,
+    acquiredAt,
+    transactionId,
+    originalAmount: amount,
+    remainingAmount: amount,
+    costPerUnit: (amount * price + fee) / amount
+  }], { session });
+  return lot;
+}
+
+// Holdings bought before lots were tracked (or adjusted by an admin) have no lots.
+// Cover the shortfall with one legacy lot at the holding's average price, dated
+// to the first buy of the symbol.
+async function coverUntrackedAmount(session, lots, { userId, portfolio, symbol, heldAmount, averagePrice }) {
+  const tracked = lots.reduce((sum, lot) => sum + lot.remainingAmount, 0);
+  const untracked = heldAmount - tracked;
+  if (untracked <= DUST) {
+    return lots;
+  }
+
+  const firstBuy = await Transaction.findOne({ userId, ...portfolio.scopeFilter(), symbol, type: 'buy', status: 'completed' })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  const [legacyLot] = await TaxLot.create([{
+    userId,
+    portfolioId: portfolio._id,
+    symbol,
+    acquiredAt: firstBuy?.createdAt || new Date(),
+    source: 'legacy',
+    originalAmount: untracked,
+    remainingAmount: untracked,
+    costPerUnit: averagePrice
+  }], { session });
+
+  return [...lots, legacyLot];
+}
+
+function orderLots(lots, method) {
+  const sorted = [...lots];
+  if (method === 'lifo') {
+    return sorted.sort((a, b) => b.acquiredAt - a.acquiredAt);
+  }
+  if (method === 'hifo') {
+    return sorted.sort((a, b) => b.costPerUnit - a.costPerUnit || a.acquiredAt - b.acquiredAt);
+  }
+  return sorted.sort((a, b) => a.acquiredAt - b.acquiredAt);
+}
+
+// Take `amount` out of the open lots in `portfolio` for a sell. FIFO, LIFO and HIFO
+// use up whole lots in order; average cost takes the same fraction from every lot.
+// Returns the cost basis of the amount sold and the per-lot breakdown.
+export async function consumeLots(session, { userId, portfolio, symbol, amount, method, heldAmount, averagePrice }) {
+  let lots = await TaxLot.find({ userId, ...portfolio.scopeFilter(), symbol, closedAt: { $exists: false } }).session(session);
+  lots = await coverUntrackedAmount(session, lots, { userId, portfolio, symbol, heldAmount, averagePrice });
+
+  const consumed = [];
+  const take = (lot, quantity) => {
+    lot.remainingAmount = round(lot.remainingAmount - quantity);
+    if (lot.remainingAmount <= DUST) {
+      lot.remainingAmount = 0;
+      lot.closedAt = new Date();
+    }
+    consumed.push({
+      lotId: lot._id,
+      acquiredAt: lot.acquiredAt,
+      amount: quantity,
+      costPerUnit: lot.costPerUnit
+    });
+  };
+
+  if (method === 'average') {
+    const open = lots.reduce((sum, lot) => sum + lot.remainingAmount, 0);
+    const ratio = Math.min(amount / open, 1);
+    lots.forEach(lot => take(lot, lot.remainingAmount * ratio));
+  } else {
+    let left = amount;
+    for (const lot of orderLots(lots, method)) {
+      if (left <= DUST) break;
+      const quantity = Math.min(lot.remainingAmount, left);
+      take(lot, quantity);
+      left -= quantity;
+    }
+  }
+
+  for (const lot of lots) {
+    if (lot.isModified()) {
+      await lot.save({ session });
+    }
+  }
+
+  const costBasis = consumed.reduce((sum, entry) => sum + entry.amount * entry.costPerUnit, 0);
+  return { costBasis: round(costBasis), lots: consumed };
+}
+
+// Move `amount` of a symbol's lots from one of the user's portfolios to another.
+// A transfer is not a disposal: the moved lots keep their acquisition date and
+// cost, taken from the source lots in the user's cost-basis order.
+export async function transferLots(session, { userId, from, to, symbol, amount, heldAmount, averagePrice, transactionId }) {
+  const method = await getCostBasisMethod(userId, session);
+  const { lots } = await consumeLots(session, { userId, portfolio: from, symbol, amount, method, heldAmount, averagePrice });
+
+  await TaxLot.create(lots.filter(lot => lot.amount > DUST).map(lot => ({
+    userId,
+    portfolioId: to._id,
+    symbol,
+    acquiredAt: lot.acquiredAt,
+    transactionId,
+    source: 'transfer',
+    originalAmount: lot.amount,
+    remainingAmount: lot.amount,
+    costPerUnit: lot.costPerUnit
+  })), { session, ordered: true });
+}
+
+// Realized and unrealized P&L per symbol and in total for one portfolio. `holdings`
+// are its holdings with currentPrice filled in; amounts not covered by lots are
+// valued at the holding's average price, as a sell would.
+export async function getProfitAndLoss(userId, holdings, portfolio) {
+  userId = new mongoose.Types.ObjectId(String(userId));
+  const scope = portfolio.scopeFilter();
+
+  const [openLots, realized] = await Promise.all([
+    TaxLot.aggregate([
+      { $match: { userId, ...scope, closedAt: { $exists: false } } },
+      {
+        $group: {
+          _id: '$symbol',
+          amount: { $sum: '$remainingAmount' },
+          costBasis: { $sum: { $multiply: ['$remainingAmount', '$costPerUnit'] } }
+        }
+      }
+    ]),
+    Transaction.aggregate([
+      { $match: { userId, ...scope, type: 'sell', status: 'completed', realizedGain: { $exists: true } } },
+      { $group: { _id: '$symbol', realizedGain: { $sum: '$realizedGain' } } }
+    ])
+  ]);
+
+  const lotsBySymbol = new Map(openLots.map(entry => [entry._id, entry]));
+  const realizedBySymbol = new Map(realized.map(entry => [entry._id, entry.realizedGain]));
+  const symbols = new Set([...holdings.map(h => h.symbol), ...realizedBySymbol.keys()]);
+
+  const bySymbol = {};
+  const totals = { costBasis: 0, marketValue: 0, unrealizedGain: 0, realizedGain: 0 };
+
+  for (const symbol of symbols) {
+    const holding = holdings.find(h => h.symbol === symbol);
+    const lots = lotsBySymbol.get(symbol);
+    const amount = holding?.amount || 0;
+
+    const untracked = Math.max(amount - (lots?.amount || 0), 0);
+    const costBasis = (lots?.costBasis || 0) + untracked * (holding?.averagePrice || 0);
+    const marketValue = amount * (holding?.currentPrice || 0);
+    const unrealizedGain = amount > 0 ? marketValue - costBasis : 0;
+    const realizedGain = realizedBySymbol.get(symbol) || 0;
+
+    bySymbol[symbol] = {
+      costBasis: round(costBasis),
+      marketValue: round(marketValue),
+      unrealizedGain: round(unrealizedGain),
+      unrealizedGainPercentage: costBasis > 0 ? (unrealizedGain / costBasis) * 100 : 0,
+      realizedGain: round(realizedGain)
+    };
+
+    totals.costBasis += costBasis;
+    totals.marketValue += marketValue;
+    totals.unrealizedGain += unrealizedGain;
+    totals.realizedGain += realizedGain;
+  }
+
+  return {
+    bySymbol,
+    totals: {
+      costBasis: round(totals.costBasis),
+      marketValue: round(totals.marketValue),
+      unrealizedGain: round(totals.unrealizedGain),
+      realizedGain: round(totals.realizedGain),
+      totalGain: round(totals.unrealizedGain + totals.realizedGain)
+    }
+  };
+}
@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Mail transports. A transport is an object with a `name` and an async
+// `send(message)` where message is { from, to, subject, text, html }.
+const transports = new Map();
+
+export function registerTransport(transport) {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a name and a send function');
+  }
+  transports.set(transport.name, transport);
+}
+
+// Delivers mail through the SMTP server in SMTP_HOST (the default transport)
+let smtpClient = null;
+registerTransport({
+  name: 'smtp',
+  async send(message) {
+    if (!smtpClient) {
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+    await smtpClient.sendMail(message);
+  }
+});
+
+// Transports that never deliver mail; they print or store links and tokens in
+// plain text, so they must be chosen explicitly and are refused in production
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Prints mail to the server log (development)
+registerTransport({
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+// Writes each message as JSON to MAIL_FILE_DIR so tests can read it back
+registerTransport({
+  name: 'file',
+  async send(message) {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'smtp';
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+// Throw if mail is not set up to be delivered safely. Called at startup.
+export function checkMailConfig() {
+  const { name } = getTransport();
+
+  if (LOCAL_TRANSPORTS.includes(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`Mail transport "${name}" does not deliver mail and cannot be used in production`);
+  }
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required (or set MAIL_TRANSPORT=console for local development)');
+  }
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@cryptobackend.local',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  await getTransport().send(message);
+  return message;
+}
@@ -0,0 +1,63 @@
+import { sendMail } from './mailer.js';
+
+// Notification channels. A channel is an object with a `name` and an async
+// `send(user, notification)` where notification is { type, title, message, data, security }.
+const channels = new Map();
+
+export function registerChannel(channel) {
+  if (!channel || !channel.name || typeof channel.send !== 'function') {
+    throw new Error('Notification channel must have a name and a send function');
+  }
+  channels.set(channel.name, channel);
+}
+
+// Writes notifications to the server log; always available for development
+registerChannel({
+  name: 'log',
+  async send(user, notification) {
+    console.log(`[notification:${notification.type}] to ${user.email}: ${notification.title} - ${notification.message}`);
+  }
+});
+
+// Emails the notification, honouring the user's emailNotifications preference.
+// Security notices (notification.security) are sent regardless.
+registerChannel({
+  name: 'email',
+  async send(user, notification) {
+    if (user.preferences?.emailNotifications === false && !notification.security) {
+      return;
+    }
+    await sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.message
+    });
+  }
+});
+
+// Channels to use, from NOTIFICATION_CHANNELS (comma-separated), default: log
+function enabledChannels() {
+  const names = (process.env.NOTIFICATION_CHANNELS || 'log')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.map(name => channels.get(name)).filter(Boolean);
+}
+
+// Send a notification on every enabled channel. A failing channel does not stop
+// the others; the names of the channels that accepted it are returned.
+export async function notify(user, notification) {
+  const delivered = [];
+
+  for (const channel of enabledChannels()) {
+    try {
+      await channel.send(user, notification);
+      delivered.push(channel.name);
+    } catch (err) {
+      console.error(`Notification channel ${channel.name} failed:`, err.message);
+    }
+  }
+
+  return delivered;
+}
@@ -0,0 +1,327 @@
+import Order, { OPEN_ORDER_STATUSES } from '../models/Order.js';
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { getPrices } from './priceService.js';
+import { applyTrade, TradeError } from './tradeService.js';
+import { quoteFee, orderLiquidity } from './feeService.js';
+import { recordSnapshot } from './snapshotService.js';
+
+const ORDER_LABELS = {
+  limit: 'Limit',
+  stop_loss: 'Stop-loss',
+  take_profit: 'Take-profit',
+  stop_limit: 'Stop-limit'
+};
+
+// Price used to estimate the pending Transaction before the order fills
+function indicativePrice(order) {
+  return order.limitPrice ?? order.stopPrice;
+}
+
+async function orderFee(order, price) {
+  const { fee } = await quoteFee(order.userId, {
+    symbol: order.symbol,
+    amount: order.amount,
+    price,
+    liquidity: orderLiquidity(order.orderType)
+  });
+  return fee;
+}
+
+async function pendingTransactionFields(order) {
+  const price = indicativePrice(order);
+  const fee = await orderFee(order, price);
+
+  return {
+    amount: order.amount,
+    price,
+    fee,
+    total: order.side === 'buy' ? (order.amount * price) + fee : (order.amount * price) - fee
+  };
+}
+
+// Has the stop price been reached? Sell stops fire on a fall (stop-loss) and
+// sell take-profits on a rise; buy orders mirror that.
+function stopReached(order, price) {
+  const firesOnFall = (order.orderType === 'take_profit') === (order.side === 'buy');
+  return firesOnFall ? price <= order.stopPrice : price >= order.stopPrice;
+}
+
+function limitReached(order, price) {
+  return order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice;
+}
+
+// Decide what an order should do at `price`: 'fill', 'trigger' (stop-limit
+// becoming a resting limit order) or null to keep waiting
+export function evaluateOrder(order, price) {
+  switch (order.orderType) {
+    case 'limit':
+      return limitReached(order, price) ? 'fill' : null;
+    case 'stop_loss':
+    case 'take_profit':
+      return stopReached(order, price) ? 'fill' : null;
+    case 'stop_limit':
+      if (order.status === 'open') {
+        if (!stopReached(order, price)) return null;
+        return limitReached(order, price) ? 'fill' : 'trigger';
+      }
+      return limitReached(order, price) ? 'fill' : null;
+    default:
+      return null;
+  }
+}
+
+// Reject orders the user could not settle right now. Balances are checked
+// again when the order fills, so this is only an early warning.
+async function checkBalances(order) {
+  const { userId, side, symbol, amount } = order;
+  const portfolio = await Portfolio.findForUser(userId, order.portfolioId);
+  if (!portfolio) {
+    throw new TradeError('Portfolio not found', 404);
+  }
+
+  if (side === 'buy') {
+    const price = indicativePrice(order);
+    const cost = (amount * price) + await orderFee(order, price);
+    if (portfolio.cashBalance < cost) {
+      throw new TradeError('Insufficient cash balance');
+    }
+  } else {
+    const holding = portfolio.holdings.find(h => h.symbol === symbol);
+    if (!holding || holding.amount < amount) {
+      throw new TradeError('Insufficient holdings to sell');
+    }
+  }
+
+  return portfolio;
+}
+
+// Rules an order must meet beyond its schema, checked when it is placed and
+// again after every amendment
+async function checkOrderRules(order) {
+  await order.validate();
+
+  if (order.orderType === 'limit' && order.stopPrice !== undefined) {
+    throw new TradeError('Limit orders do not take a stop price');
+  }
+  if ((order.orderType === 'stop_loss' || order.orderType === 'take_profit') && order.limitPrice !== undefined) {
+    throw new TradeError(`${ORDER_LABELS[order.orderType]} orders do not take a limit price`);
+  }
+  if (order.timeInForce === 'gtd' && order.expiresAt <= new Date()) {
+    throw new TradeError('Expiry must be in the future');
+  }
+  if (order.orderType === 'stop_limit') {
+    const limitBeyondStop = order.side === 'sell'
+      ? order.limitPrice > order.stopPrice
+      : order.limitPrice < order.stopPrice;
+    if (limitBeyondStop) {
+      throw new TradeError(`Stop-limit ${order.side} limit price must be ${order.side === 'sell' ? 'at or below' : 'at or above'} the stop price`);
+    }
+  }
+}
+
+// Place an order and its pending Transaction
+export async function placeOrder(userId, params) {
+  const order = new Order({ ...params, userId });
+
+  await checkOrderRules(order);
+  const portfolio = await checkBalances(order);
+
+  return runInTransaction(async (session) => {
+    const [transaction] = await Transaction.create([{
+      userId,
+      portfolioId: order.portfolioId,
+      simulated: portfolio.isPaper,
+      type: order.side,
+      symbol: order.symbol,
+      name: order.name,
+      ...await pendingTransactionFields(order),
+      status: 'pending',
+      orderId: order._id,
+      notes: `${ORDER_LABELS[order.orderType]} ${order.side} order`
+    }], { session });
+
+    order.transactionId = transaction._id;
+    await order.save({ session });
+
+    return order;
+  });
+}
+
+// Change the amount, prices or expiry of an order in `portfolio` that has not filled yet
+export async function amendOrder(userId, orderId, changes, { portfolio }) {
+  return runInTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      userId,
+      ...portfolio.scopeFilter(),
+      status: { $in: OPEN_ORDER_STATUSES }
+    }).session(session);
+    if (!order) {
+      throw new TradeError('Open order not found', 404);
+    }
+
+    ['amount', 'limitPrice', 'stopPrice', 'expiresAt'].forEach(field => {
+      if (changes[field] !== undefined) {
+        order[field] = changes[field];
+      }
+    });
+
+    if (order.status === 'triggered' && order.isModified('stopPrice')) {
+      throw new TradeError('Stop price cannot be changed after the order has triggered');
+    }
+    if (order.isModified('expiresAt')) {
+      order.timeInForce = order.expiresAt ? 'gtd' : 'gtc';
+    }
+
+    await checkOrderRules(order);
+    await checkBalances(order);
+
+    await order.save({ session });
+
+    await Transaction.updateOne(
+      { _id: order.transactionId, status: 'pending' },
+      await pendingTransactionFields(order),
+      { session }
+    );
+
+    return order;
+  });
+}
+
+// Cancel an order and its pending Transaction, looked up by either id.
+// Returns null if there is no matching open order.
+export async function cancelOrder(userId, { orderId, transactionId }) {
+  return runInTransaction(async (session) => {
+    const query = { userId, status: { $in: OPEN_ORDER_STATUSES } };
+    if (orderId) query._id = orderId;
+    if (transactionId) query.transactionId = transactionId;
+
+    const order = await Order.findOne(query).session(session);
+    if (!order) {
+      return null;
+    }
+
+    order.status = 'cancelled';
+    await order.save({ session });
+
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: order.transactionId, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true, session }
+    );
+
+    return { order, transaction };
+  });
+}
+
+// Close an order without filling it and mark its Transaction accordingly
+async function closeOrder(order, status, transactionStatus, reason) {
+  await runInTransaction(async (session) => {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: OPEN_ORDER_STATUSES } },
+      { status, rejectReason: reason, $inc: { __v: 1 } },
+      { session }
+    );
+    if (updated) {
+      await Transaction.updateOne(
+        { _id: order.transactionId, status: 'pending' },
+        { status: transactionStatus, notes: reason },
+        { session }
+      );
+    }
+  });
+}
+
+// Fill an order at the market price through the shared trade pipeline
+async function fillOrder(order, quote) {
+  const fee = await orderFee(order, quote.price);
+
+  try {
+    const result = await runInTransaction(async (session) => {
+      const filled = await Order.findOneAndUpdate(
+        { _id: order._id, status: { $in: OPEN_ORDER_STATUSES } },
+        { status: 'filled', filledAt: new Date(), filledPrice: quote.price, $inc: { __v: 1 } },
+        { session }
+      );
+      if (!filled) {
+        return null;
+      }
+
+      return applyTrade(session, {
+        userId: order.userId,
+        portfolioId: order.portfolioId,
+        type: order.side,
+        symbol: order.symbol,
+        name: order.name,
+        amount: order.amount,
+        price: quote.price,
+        fee,
+        pendingTransactionId: order.transactionId,
+        transactionFields: {
+          priceSource: quote.source,
+          orderId: order._id
+        }
+      });
+    });
+
+    if (result) {
+      recordSnapshot(result.portfolio, 'trade')
+        .catch(err => console.error('Post-trade snapshot error:', err.message));
+    }
+  } catch (error) {
+    if (!(error instanceof TradeError)) {
+      throw error;
+    }
+    await closeOrder(order, 'rejected', 'failed', error.message);
+  }
+}
+
+// Expire good-til-date orders that have run out
+export async function expireOrders(now = new Date()) {
+  const expired = await Order.find({
+    status: { $in: OPEN_ORDER_STATUSES },
+    timeInForce: 'gtd',
+    expiresAt: { $lte: now }
+  });
+
+  for (const order of expired) {
+    await closeOrder(order, 'expired', 'cancelled', 'Order expired');
+  }
+
+  return expired.length;
+}
+
+// Background matching run: expire old orders, then evaluate the rest against
+// current prices. Orders whose symbol has no fresh price are left for the next run.
+export async function matchOpenOrders() {
+  await expireOrders();
+
+  const orders = await Order.find({ status: { $in: OPEN_ORDER_STATUSES } }).sort({ createdAt: 1 });
+  if (orders.length === 0) {
+    return;
+  }
+
+  const { prices } = await getPrices([...new Set(orders.map(o => o.symbol))], { strict: true });
+
+  for (const order of orders) {
+    const quote = prices[order.symbol];
+    if (!quote || quote.stale) {
+      continue;
+    }
+
+    try {
+      const action = evaluateOrder(order, quote.price);
+      if (action === 'trigger') {
+        order.status = 'triggered';
+        order.triggeredAt = new Date();
+        await order.save();
+      } else if (action === 'fill') {
+        await fillOrder(order, quote);
+      }
+    } catch (error) {
+      console.error(`Order ${order._id} matching error:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,148 @@
+import Portfolio from '../models/Portfolio.js';
+import PortfolioSnapshot from '../models/PortfolioSnapshot.js';
+import Transaction from '../models/Transaction.js';
+import TaxLot from '../models/TaxLot.js';
+import Order from '../models/Order.js';
+import TradeQuote from '../models/TradeQuote.js';
+import User from '../models/User.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { getPrices } from './priceService.js';
+import { TradeError } from './tradeService.js';
+
+export const PAPER_PORTFOLIO_NAME = 'Paper trading';
+export const PAPER_BALANCE_LIMITS = { min: 100, max: 1000000 };
+
+// Simulated cash a paper portfolio starts with unless the user picks an amount
+export function getDefaultStartingBalance() {
+  const value = parseFloat(process.env.PAPER_STARTING_BALANCE);
+  return Number.isFinite(value) && value > 0 ? value : 10000;
+}
+
+// Delete everything a paper portfolio has traded: its simulated transactions,
+// orders, quotes, tax lots and snapshots. None of it touches real balances.
+export async function clearPaperActivity(session, portfolio) {
+  const scope = { userId: portfolio.userId, portfolioId: portfolio._id };
+
+  await Transaction.deleteMany({ ...scope, simulated: true }, { session });
+  await Order.deleteMany(scope, { session });
+  await TradeQuote.deleteMany(scope, { session });
+  await TaxLot.deleteMany(scope, { session });
+  await PortfolioSnapshot.deleteMany(scope, { session });
+}
+
+// The user's paper portfolio, opened with the default starting balance the
+// first time it is asked for. Each user has at most one.
+export async function getPaperPortfolio(userId) {
+  const startingBalance = getDefaultStartingBalance();
+
+  try {
+    return await Portfolio.findOneAndUpdate(
+      { userId, kind: 'paper' },
+      {
+        $setOnInsert: {
+          userId,
+          kind: 'paper',
+          name: PAPER_PORTFOLIO_NAME,
+          isDefault: false,
+          holdings: [],
+          cashBalance: startingBalance,
+          paper: { startingBalance, resetAt: new Date(), showOnLeaderboard: false }
+        }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    if (error.keyPattern?.name) {
+      throw new TradeError(`Rename your "${PAPER_PORTFOLIO_NAME}" portfolio to open a paper portfolio`, 409);
+    }
+    // Opened by a concurrent request
+    return Portfolio.findOne({ userId, kind: 'paper' });
+  }
+}
+
+// Start the paper portfolio over: its history is cleared and the cash set back
+// to the starting balance (optionally a new one)
+export async function resetPaperPortfolio(userId, { startingBalance } = {}) {
+  await getPaperPortfolio(userId);
+
+  return runInTransaction(async (session) => {
+    const portfolio = await Portfolio.findOne({ userId, kind: 'paper' }).session(session);
+    const balance = startingBalance ?? portfolio.paper.startingBalance ?? getDefaultStartingBalance();
+
+    await clearPaperActivity(session, portfolio);
+
+    portfolio.holdings = [];
+    portfolio.cashBalance = balance;
+    portfolio.paper.startingBalance = balance;
+    portfolio.paper.resetAt = new Date();
+    portfolio.lastRebalancedAt = undefined;
+    portfolio.calculateTotals();
+    await portfolio.save({ session });
+
+    return portfolio;
+  });
+}
+
+// Value a paper portfolio at `prices`, falling back to the last known price of
+// holdings without one, and its return since the last reset
+export function valuePaperPortfolio(portfolio, prices) {
+  const holdingsValue = portfolio.holdings.reduce((sum, holding) => {
+    const price = prices[holding.symbol]?.price ?? (holding.currentPrice || holding.averagePrice);
+    return sum + holding.amount * price;
+  }, 0);
+  const value = portfolio.cashBalance + holdingsValue;
+  const startingBalance = portfolio.paper?.startingBalance || 0;
+  const returnAmount = value - startingBalance;
+
+  return {
+    value,
+    startingBalance,
+    returnAmount,
+    returnPercentage: startingBalance > 0 ? (returnAmount / startingBalance) * 100 : 0
+  };
+}
+
+// "Ada Lovelace" -> "Ada L.", so the leaderboard does not show full names
+const displayName = name => {
+  const [first, ...rest] = (name || 'Anonymous').trim().split(/\s+/);
+  const last = rest.pop();
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+// Rank the paper portfolios of users who opted in by return since their last
+// reset. Returns the top `limit` entries and, if ranked, the caller's own entry.
+export async function getLeaderboard(userId, { limit = 20 } = {}) {
+  const portfolios = await Portfolio.find({ kind: 'paper', 'paper.showOnLeaderboard': true }).lean();
+  const users = await User.find({
+    _id: { $in: portfolios.map(p => p.userId) },
+    deletionScheduledFor: { $exists: false }
+  }).select('name');
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+
+  const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+  const { prices } = await getPrices(symbols);
+
+  const entries = portfolios
+    .filter(portfolio => usersById.has(String(portfolio.userId)))
+    .map(portfolio => ({
+      userId: portfolio.userId,
+      name: displayName(usersById.get(String(portfolio.userId)).name),
+      ...valuePaperPortfolio(portfolio, prices),
+      holdingsCount: portfolio.holdings.length,
+      resetAt: portfolio.paper.resetAt
+    }))
+    .sort((a, b) => b.returnPercentage - a.returnPercentage)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  const strip = ({ userId: _userId, ...entry }) => entry;
+  const own = entries.find(entry => String(entry.userId) === String(userId));
+
+  return {
+    entries: entries.slice(0, limit).map(strip),
+    participants: entries.length,
+    you: own ? strip(own) : null
+  };
+}
@@ -0,0 +1,154 @@
+import Transaction from '../models/Transaction.js';
+import { buildValueSeries } from './valuation.js';
+import {
+  periodReturns,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  volatility,
+  maxDrawdown,
+  sharpeRatio,
+  concentration,
+  dietzDenominator
+} from './analytics.js';
+
+export const PERFORMANCE_PERIODS = ['24h', '7d', '30d', 'ytd', 'all'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const YEAR = 365 * DAY;
+
+function periodStart(period, now, firstTradeAt) {
+  switch (period) {
+    case '24h':
+      return new Date(now - DAY);
+    case '7d':
+      return new Date(now - 7 * DAY);
+    case '30d':
+      return new Date(now - 30 * DAY);
+    case 'ytd':
+      return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    default:
+      return firstTradeAt || now;
+  }
+}
+
+// Sampling interval for the valuation series
+function stepFor(period) {
+  if (period === '24h') return HOUR;
+  if (period === '7d') return 4 * HOUR;
+  return DAY;
+}
+
+function getRiskFreeRate() {
+  const rate = parseFloat(process.env.RISK_FREE_RATE);
+  return Number.isFinite(rate) ? rate : 0;
+}
+
+const percent = value => (value === null || value === undefined ? null : value * 100);
+
+// Per-holding P&L over the period and its contribution to the portfolio return
+function holdingContributions(series, names) {
+  const first = series[0];
+  const last = series[series.length - 1];
+  const start = first.time;
+  const end = last.time;
+
+  const portfolioFlows = series.slice(1)
+    .filter(point => point.flow !== 0)
+    .map(point => ({ time: point.time, amount: point.flow }));
+  const denominator = dietzDenominator(first.value, portfolioFlows, start, end);
+
+  const symbols = new Set([...Object.keys(first.bySymbol), ...Object.keys(last.bySymbol)]);
+
+  return [...symbols].map(symbol => {
+    const startValue = first.bySymbol[symbol]?.value || 0;
+    const endValue = last.bySymbol[symbol]?.value || 0;
+    const flows = series.slice(1)
+      .filter(point => point.bySymbol[symbol]?.flow)
+      .map(point => ({ time: point.time, amount: point.bySymbol[symbol].flow }));
+    const netFlow = flows.reduce((sum, flow) => sum + flow.amount, 0);
+    const gainLoss = endValue - startValue - netFlow;
+    const ownDenominator = dietzDenominator(startValue, flows, start, end);
+
+    return {
+      symbol,
+      name: names[symbol] || symbol,
+      startValue,
+      endValue,
+      netFlow,
+      gainLoss,
+      returnPercentage: ownDenominator > 0 ? (gainLoss / ownDenominator) * 100 : 0,
+      contribution: denominator > 0 ? (gainLoss / denominator) * 100 : 0
+    };
+  }).sort((a, b) => b.contribution - a.contribution);
+}
+
+// Risk/return analytics for one of a user's portfolios over one of PERFORMANCE_PERIODS.
+// Returns, volatility and drawdown are percentages; the Sharpe ratio is annualized.
+export async function getPerformance(userId, portfolio, period = '30d') {
+  const now = new Date();
+  const transactions = await Transaction.find(Transaction.holdingHistoryQuery(userId, portfolio))
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const firstTradeAt = transactions[0]?.createdAt;
+  let start = periodStart(period, now, firstTradeAt);
+  if (firstTradeAt && start < firstTradeAt) {
+    start = firstTradeAt;
+  }
+
+  const step = stepFor(period);
+  const names = {};
+  transactions.forEach(tx => { names[tx.symbol] = tx.name; });
+
+  const { series, prices } = await buildValueSeries(transactions, start, now, step);
+  const returns = periodReturns(series);
+  const periodsPerYear = YEAR / step;
+  const first = series[0];
+  const last = series[series.length - 1];
+  const netFlows = series.slice(1).reduce((sum, point) => sum + point.flow, 0);
+  const mwr = moneyWeightedReturn(series);
+  const concentrationStats = concentration(Object.values(last.bySymbol).map(s => s.value));
+  const contributions = holdingContributions(series, names);
+
+  const ranked = contributions.filter(c => c.endValue > 0 || c.startValue > 0);
+  const best = ranked.reduce((top, c) => (!top || c.returnPercentage > top.returnPercentage ? c : top), null);
+  const worst = ranked.reduce((low, c) => (!low || c.returnPercentage < low.returnPercentage ? c : low), null);
+
+  return {
+    period,
+    startDate: new Date(first.time),
+    endDate: new Date(last.time),
+    startValue: first.value,
+    endValue: last.value,
+    netFlows,
+    periodGainLoss: last.value - first.value - netFlows,
+    totalReturn: portfolio?.totalGainLoss || 0,
+    totalReturnPercentage: portfolio?.totalGainLossPercentage || 0,
+    returns: {
+      timeWeighted: percent(timeWeightedReturn(returns)),
+      moneyWeighted: percent(mwr?.period),
+      moneyWeightedAnnualized: percent(mwr?.annualized)
+    },
+    risk: {
+      volatility: percent(volatility(returns, periodsPerYear)),
+      maxDrawdown: percent(maxDrawdown(returns)),
+      sharpeRatio: sharpeRatio(returns, periodsPerYear, getRiskFreeRate()),
+      riskFreeRate: percent(getRiskFreeRate())
+    },
+    concentration: concentrationStats,
+    diversificationScore: concentrationStats.herfindahlIndex > 0 ? (1 - concentrationStats.normalized) * 100 : 0,
+    contributions,
+    bestPerformer: best && { symbol: best.symbol, name: best.name, gain: best.returnPercentage },
+    worstPerformer: worst && { symbol: worst.symbol, name: worst.name, gain: worst.returnPercentage },
+    holdingsCount: portfolio?.holdings.length || 0,
+    samples: series.length,
+    prices: {
+      source: prices.source,
+      asOf: prices.asOf,
+      stale: prices.stale,
+      missing: prices.missing
+    },
+    lastUpdated: portfolio?.lastUpdated
+  };
+}
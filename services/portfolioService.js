@@ -0,0 +1,131 @@
+import Portfolio from '../models/Portfolio.js';
+import PortfolioSnapshot from '../models/PortfolioSnapshot.js';
+import Order, { OPEN_ORDER_STATUSES } from '../models/Order.js';
+import RecurringPlan from '../models/RecurringPlan.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { TradeError } from './tradeService.js';
+import { clearPaperActivity } from './paperService.js';
+
+const MAX_PORTFOLIOS_PER_USER = 20;
+
+const isDuplicateName = error => error.code === 11000 && error.keyPattern?.name;
+
+// Make `portfolio` the user's default. The old default is cleared first so the
+// one-default-per-user index holds at every step of the transaction.
+async function setDefault(session, userId, portfolio) {
+  await Portfolio.updateOne(
+    { userId, isDefault: true, _id: { $ne: portfolio._id } },
+    { isDefault: false },
+    { session }
+  );
+  portfolio.isDefault = true;
+}
+
+// End the recurring plans buying into a portfolio that is being deleted
+async function endPlans(session, portfolio) {
+  await RecurringPlan.updateMany(
+    { userId: portfolio.userId, portfolioId: portfolio._id, status: { $ne: 'ended' } },
+    { status: 'ended', $unset: { nextRunAt: 1 } },
+    { session }
+  );
+}
+
+// Create a named portfolio, optionally making it the default
+export async function createPortfolio(userId, { name, makeDefault = false }) {
+  // Make sure the user has a default before adding a second portfolio
+  await Portfolio.findOrCreateForUser(userId);
+
+  const count = await Portfolio.countDocuments({ userId });
+  if (count >= MAX_PORTFOLIOS_PER_USER) {
+    throw new TradeError(`You can have at most ${MAX_PORTFOLIOS_PER_USER} portfolios`);
+  }
+
+  try {
+    return await runInTransaction(async (session) => {
+      const portfolio = new Portfolio({ userId, name, holdings: [] });
+      if (makeDefault) {
+        await setDefault(session, userId, portfolio);
+      }
+      await portfolio.save({ session });
+      return portfolio;
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      throw new TradeError(`You already have a portfolio named ${name}`, 409);
+    }
+    throw error;
+  }
+}
+
+// Rename a portfolio and/or make it the default. The default can only be moved,
+// not unset, so every user keeps exactly one.
+export async function updatePortfolio(userId, portfolioId, { name, makeDefault }) {
+  try {
+    return await runInTransaction(async (session) => {
+      const portfolio = await Portfolio.findForUser(userId, portfolioId, { session });
+      if (!portfolio) {
+        throw new TradeError('Portfolio not found', 404);
+      }
+
+      if (name !== undefined) {
+        portfolio.name = name;
+      }
+      if (makeDefault === false && portfolio.isDefault) {
+        throw new TradeError('Make another portfolio the default instead');
+      }
+      if (makeDefault && portfolio.isPaper) {
+        throw new TradeError('A paper portfolio cannot be the default');
+      }
+      if (makeDefault && !portfolio.isDefault) {
+        await setDefault(session, userId, portfolio);
+      }
+
+      await portfolio.save({ session });
+      return portfolio;
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      throw new TradeError(`You already have a portfolio named ${name}`, 409);
+    }
+    throw error;
+  }
+}
+
+// Delete an empty, non-default portfolio with no open orders. Its transactions
+// stay in the history; its snapshots go with it and its recurring plans end. A
+// paper portfolio can be deleted at any time and takes its simulated history with it.
+export async function deletePortfolio(userId, portfolioId) {
+  const portfolio = await Portfolio.findForUser(userId, portfolioId);
+  if (!portfolio) {
+    throw new TradeError('Portfolio not found', 404);
+  }
+  if (portfolio.isDefault) {
+    throw new TradeError('The default portfolio cannot be deleted');
+  }
+
+  if (portfolio.isPaper) {
+    await runInTransaction(async (session) => {
+      await clearPaperActivity(session, portfolio);
+      await endPlans(session, portfolio);
+      await Portfolio.deleteOne({ _id: portfolio._id }, { session });
+    });
+    return portfolio;
+  }
+
+  if (portfolio.holdings.length > 0 || portfolio.cashBalance > 0) {
+    throw new TradeError('Transfer out all holdings and cash before deleting the portfolio', 409);
+  }
+
+  const openOrders = await Order.countDocuments({ userId, portfolioId: portfolio._id, status: { $in: OPEN_ORDER_STATUSES } });
+  if (openOrders > 0) {
+    throw new TradeError('Cancel the portfolio\'s open orders before deleting it', 409);
+  }
+
+  await runInTransaction(async (session) => {
+    await PortfolioSnapshot.deleteMany({ userId, portfolioId: portfolio._id }, { session });
+    await endPlans(session, portfolio);
+    await Portfolio.deleteOne({ _id: portfolio._id }, { session });
+  });
+
+  return portfolio;
+}
@@ -0,0 +1,55 @@
+import axios from 'axios';
+
+const BASE_URL = 'https://api.coingecko.com/api/v3';
+
+// CoinGecko public API provider
+const coingecko = {
+  name: 'coingecko',
+
+  // Returns { [providerId]: { price, change } } for the requested CoinGecko ids
+  async fetchPrices(ids) {
+    const { data } = await axios.get(`${BASE_URL}/simple/price`, {
+      params: {
+        ids: ids.join(','),
+        vs_currencies: 'usd',
+        include_24hr_change: 'true'
+      },
+      headers: process.env.COINGECKO_API_KEY
+        ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY }
+        : undefined,
+      timeout: 10000
+    });
+
+    const prices = {};
+    ids.forEach(id => {
+      if (data[id] && typeof data[id].usd === 'number') {
+        prices[id] = {
+          price: data[id].usd,
+          change: data[id].usd_24h_change ?? 0
+        };
+      }
+    });
+
+    return prices;
+  },
+
+  // Returns [{ time, price }] between two dates. CoinGecko picks the granularity:
+  // 5-minutely within a day, hourly up to 90 days, daily beyond that.
+  async fetchHistory(id, from, to) {
+    const { data } = await axios.get(`${BASE_URL}/coins/${encodeURIComponent(id)}/market_chart/range`, {
+      params: {
+        vs_currency: 'usd',
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000)
+      },
+      headers: process.env.COINGECKO_API_KEY
+        ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY }
+        : undefined,
+      timeout: 15000
+    });
+
+    return (data.prices || []).map(([time, price]) => ({ time, price }));
+  }
+};
+
+export default coingecko;
@@ -0,0 +1,285 @@
+import PriceAsset from '../models/PriceAsset.js';
+import coingecko from './priceProviders/coingecko.js';
+import staticProvider from './priceProviders/static.js';
+
+// Registered price providers, keyed by name. A provider is an object with a
+// `name` and an async `fetchPrices(ids)` returning { [providerId]: { price, change } }.
+// Providers may also implement `fetchHistory(id, from, to)` returning [{ time, price }].
+const providers = new Map();
+
+// symbol -> { price, change, source, fetchedAt } per provider
+const cache = new Map();
+
+// Symbols currently being refreshed in the background, per provider
+const refreshing = new Set();
+
+// Historical series keyed by provider, symbol and range, oldest first. Expired
+// entries are dropped whenever a series is added, and the map is capped in size.
+const historyCache = new Map();
+const HISTORY_CACHE_MAX_ENTRIES = 500;
+
+let registryCache = null;
+let registryLoadedAt = 0;
+
+export class PriceUnavailableError extends Error {
+  constructor(symbol) {
+    super(`Live price unavailable for ${symbol}, please try again later`);
+    this.name = 'PriceUnavailableError';
+    this.symbol = symbol;
+    this.status = 503;
+  }
+}
+
+// Register an additional provider (or replace a built-in one)
+export function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.fetchPrices !== 'function') {
+    throw new Error('Price provider must have a name and a fetchPrices function');
+  }
+  providers.set(provider.name, provider);
+}
+
+registerProvider(coingecko);
+registerProvider(staticProvider);
+
+// Read a numeric env setting lazily so dotenv has been loaded by the time we use it
+function numberSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getSettings() {
+  return {
+    ttl: numberSetting('PRICE_CACHE_TTL_MS', 30 * 1000),
+    staleWindow: numberSetting('PRICE_STALE_WINDOW_MS', 5 * 60 * 1000),
+    registryTtl: numberSetting('PRICE_REGISTRY_TTL_MS', 60 * 1000),
+    historyTtl: numberSetting('PRICE_HISTORY_TTL_MS', 10 * 60 * 1000)
+  };
+}
+
+export function getProvider() {
+  const name = process.env.PRICE_PROVIDER || 'coingecko';
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown price provider: ${name}`);
+  }
+  return provider;
+}
+
+// Load the symbol -> asset registry from Mongo, cached briefly
+export async function getAssetRegistry() {
+  const { registryTtl } = getSettings();
+  if (!registryCache || Date.now() - registryLoadedAt > registryTtl) {
+    registryCache = await PriceAsset.getActiveAssets();
+    registryLoadedAt = Date.now();
+  }
+  return registryCache;
+}
+
+// Forget the cached registry, e.g. after an admin edits an asset
+export function invalidateAssetRegistry() {
+  registryCache = null;
+}
+
+// Drop all cached prices (used by tests and when switching providers)
+export function clearPriceCache() {
+  cache.clear();
+  historyCache.clear();
+}
+
+function cacheKey(provider, symbol) {
+  return `${provider.name}:${symbol}`;
+}
+
+function providerIdFor(provider, asset) {
+  const ids = asset.providerIds || {};
+  return ids[provider.name] || (provider.name === 'static' ? asset.symbol : undefined);
+}
+
+// Fetch fresh prices for `symbols` from the provider and store them in the cache
+async function refresh(provider, symbols, registry) {
+  const idToSymbol = {};
+  symbols.forEach(symbol => {
+    const asset = registry[symbol];
+    const id = asset && providerIdFor(provider, asset);
+    if (id) {
+      idToSymbol[id] = symbol;
+    }
+  });
+
+  const ids = Object.keys(idToSymbol);
+  if (ids.length === 0) {
+    return;
+  }
+
+  const data = await provider.fetchPrices(ids);
+  const fetchedAt = Date.now();
+
+  Object.entries(data).forEach(([id, quote]) => {
+    const symbol = idToSymbol[id];
+    if (symbol) {
+      cache.set(cacheKey(provider, symbol), {
+        price: quote.price,
+        change: quote.change,
+        source: provider.name,
+        fetchedAt
+      });
+    }
+  });
+}
+
+// Kick off a refresh without waiting for it; concurrent refreshes of the same symbol are skipped
+function refreshInBackground(provider, symbols, registry) {
+  const pending = symbols.filter(symbol => !refreshing.has(cacheKey(provider, symbol)));
+  if (pending.length === 0) {
+    return;
+  }
+
+  pending.forEach(symbol => refreshing.add(cacheKey(provider, symbol)));
+  refresh(provider, pending, registry)
+    .catch(err => console.error('Background price refresh failed:', err.message))
+    .finally(() => pending.forEach(symbol => refreshing.delete(cacheKey(provider, symbol))));
+}
+
+function toQuote(entry, now, ttl) {
+  const ageMs = now - entry.fetchedAt;
+  return {
+    price: entry.price,
+    change: entry.change,
+    source: entry.source,
+    asOf: new Date(entry.fetchedAt),
+    ageMs,
+    stale: ageMs > ttl
+  };
+}
+
+// Get prices for a list of symbols.
+// Fresh cache entries are returned as-is, entries inside the stale window are
+// returned immediately while a background refresh runs, and anything older is
+// fetched before returning. If the provider fails, the last known price is
+// returned flagged as stale; symbols with no price at all are listed in `missing`.
+// With { strict: true } the stale window is skipped and expired entries are always refetched.
+export async function getPrices(symbols = [], { strict = false } = {}) {
+  const provider = getProvider();
+  const settings = getSettings();
+  const ttl = settings.ttl;
+  const staleWindow = strict ? 0 : settings.staleWindow;
+  const registry = await getAssetRegistry();
+  const wanted = [...new Set(symbols.map(s => s.toUpperCase()))];
+
+  const now = Date.now();
+  const revalidate = [];
+  const fetchNow = [];
+
+  wanted.forEach(symbol => {
+    const entry = cache.get(cacheKey(provider, symbol));
+    const age = entry ? now - entry.fetchedAt : Infinity;
+
+    if (age > ttl + staleWindow) {
+      fetchNow.push(symbol);
+    } else if (age > ttl) {
+      revalidate.push(symbol);
+    }
+  });
+
+  let error;
+  if (fetchNow.length > 0) {
+    try {
+      await refresh(provider, fetchNow, registry);
+    } catch (err) {
+      console.error('Error fetching live prices:', err.message);
+      error = err.message;
+    }
+  }
+
+  if (revalidate.length > 0) {
+    refreshInBackground(provider, revalidate, registry);
+  }
+
+  const prices = {};
+  const missing = [];
+  const current = Date.now();
+
+  wanted.forEach(symbol => {
+    const entry = cache.get(cacheKey(provider, symbol));
+    if (entry) {
+      prices[symbol] = toQuote(entry, current, ttl);
+    } else {
+      missing.push(symbol);
+    }
+  });
+
+  const asOfTimes = Object.values(prices).map(p => p.asOf.getTime());
+
+  return {
+    prices,
+    missing,
+    stale: Object.values(prices).some(p => p.stale),
+    source: provider.name,
+    asOf: asOfTimes.length > 0 ? new Date(Math.min(...asOfTimes)) : null,
+    error
+  };
+}
+
+// Get a single symbol's quote, throwing PriceUnavailableError if there is none.
+// Pass { allowStale: false } to force a refetch of expired prices and refuse
+// anything older than the cache TTL (used when pricing trades).
+export async function getQuote(symbol, { allowStale = true } = {}) {
+  const { prices } = await getPrices([symbol], { strict: !allowStale });
+  const quote = prices[symbol.toUpperCase()];
+
+  if (!quote || (!allowStale && quote.stale)) {
+    throw new PriceUnavailableError(symbol.toUpperCase());
+  }
+
+  return quote;
+}
+
+function cacheHistory(key, points, ttl) {
+  const now = Date.now();
+  for (const [cachedKey, entry] of historyCache) {
+    if (now - entry.fetchedAt > ttl) {
+      historyCache.delete(cachedKey);
+    }
+  }
+
+  // Re-inserting moves the key to the end, so the first key is always the oldest
+  historyCache.delete(key);
+  while (historyCache.size >= HISTORY_CACHE_MAX_ENTRIES) {
+    historyCache.delete(historyCache.keys().next().value);
+  }
+  historyCache.set(key, { points, fetchedAt: now });
+}
+
+// Get historical prices for a symbol as [{ time, price }] sorted by time.
+// Ranges are rounded to the hour so repeated requests share a cache entry.
+export async function getPriceHistory(symbol, from, to = new Date()) {
+  const provider = getProvider();
+  if (typeof provider.fetchHistory !== 'function') {
+    throw new Error(`Price provider ${provider.name} does not support history`);
+  }
+
+  const upper = symbol.toUpperCase();
+  const registry = await getAssetRegistry();
+  const asset = registry[upper];
+  const id = asset && providerIdFor(provider, asset);
+  if (!id) {
+    throw new PriceUnavailableError(upper);
+  }
+
+  const hour = 60 * 60 * 1000;
+  const start = new Date(Math.floor(from.getTime() / hour) * hour);
+  const end = new Date(Math.ceil(to.getTime() / hour) * hour);
+  const key = `${provider.name}:${upper}:${start.getTime()}:${end.getTime()}`;
+  const { historyTtl } = getSettings();
+
+  const cached = historyCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt <= historyTtl) {
+    return cached.points;
+  }
+
+  const points = (await provider.fetchHistory(id, start, end))
+    .sort((a, b) => a.time - b.time);
+  cacheHistory(key, points, historyTtl);
+
+  return points;
+}
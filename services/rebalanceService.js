@@ -0,0 +1,217 @@
+import Portfolio from '../models/Portfolio.js';
+import User from '../models/User.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { getPrices, getAssetRegistry, PriceUnavailableError } from './priceService.js';
+import { applyTrade, TradeError } from './tradeService.js';
+import { quoteFee } from './feeService.js';
+import { recordSnapshot } from './snapshotService.js';
+import { getRestrictedActions } from './verificationService.js';
+import { notify } from './notificationService.js';
+
+// Trades worth less than this (in cash) are left out of a rebalance
+export function getMinimumTradeValue() {
+  const value = parseFloat(process.env.REBALANCE_MIN_TRADE_VALUE);
+  return Number.isFinite(value) && value >= 0 ? value : 10;
+}
+
+// Work out how far a portfolio (the default one without `portfolioId`) is from its
+// target weights and the trades that would bring it back. Weights are percentages
+// of the total value including cash; held assets without a target are sold off. Sells come first so their proceeds
+// fund the buys, and each buy is sized so it plus its fee fits in the cash
+// available. With { strict: true } only fresh prices are used and a missing one
+// throws PriceUnavailableError (for execution); otherwise assets without a price
+// are listed in `missingPrices` and left alone.
+export async function buildRebalancePlan(userId, portfolioId, { strict = false } = {}) {
+  const portfolio = await Portfolio.findForUser(userId, portfolioId);
+  if (!portfolio) {
+    throw new TradeError('Portfolio not found', 404);
+  }
+  if (portfolio.targetAllocations.length === 0) {
+    throw new TradeError('Set target allocations before rebalancing');
+  }
+
+  const targets = new Map(portfolio.targetAllocations.map(t => [t.symbol, t.weight]));
+  const holdings = new Map(portfolio.holdings.map(h => [h.symbol, h]));
+  const symbols = [...new Set([...targets.keys(), ...holdings.keys()])];
+
+  const [{ prices }, registry] = await Promise.all([
+    getPrices(symbols, { strict }),
+    getAssetRegistry()
+  ]);
+  const missingPrices = symbols.filter(symbol => !prices[symbol] || (strict && prices[symbol].stale));
+  if (strict && missingPrices.length > 0) {
+    throw new PriceUnavailableError(missingPrices[0]);
+  }
+
+  const priced = symbols.filter(symbol => !missingPrices.includes(symbol));
+  const totalValue = priced.reduce(
+    (sum, symbol) => sum + (holdings.get(symbol)?.amount || 0) * prices[symbol].price,
+    portfolio.cashBalance
+  );
+
+  const allocations = priced.map(symbol => {
+    const holding = holdings.get(symbol);
+    const price = prices[symbol].price;
+    const amount = holding?.amount || 0;
+    const value = amount * price;
+    const currentWeight = totalValue > 0 ? (value / totalValue) * 100 : 0;
+    const targetWeight = targets.get(symbol) || 0;
+
+    return {
+      symbol,
+      name: holding?.name || registry[symbol]?.name || symbol,
+      amount,
+      price,
+      value,
+      currentWeight,
+      targetWeight,
+      drift: currentWeight - targetWeight,
+      targetValue: (targetWeight / 100) * totalValue
+    };
+  });
+
+  const minimumTradeValue = getMinimumTradeValue();
+  const trades = [];
+  let cash = portfolio.cashBalance;
+
+  for (const allocation of allocations.filter(a => a.value > a.targetValue)) {
+    const excess = allocation.value - allocation.targetValue;
+    if (excess < minimumTradeValue) {
+      continue;
+    }
+
+    // Fully exit assets without a target so no dust is left behind
+    const amount = allocation.targetWeight === 0
+      ? allocation.amount
+      : Math.min(allocation.amount, excess / allocation.price);
+    const value = amount * allocation.price;
+    const { fee } = await quoteFee(userId, { symbol: allocation.symbol, amount, price: allocation.price, liquidity: 'taker' });
+
+    trades.push({ type: 'sell', symbol: allocation.symbol, name: allocation.name, amount, price: allocation.price, value, fee, total: value - fee });
+    cash += value - fee;
+  }
+
+  const shortfalls = allocations
+    .filter(a => a.targetValue > a.value)
+    .sort((a, b) => (b.targetValue - b.value) - (a.targetValue - a.value));
+
+  for (const allocation of shortfalls) {
+    const spend = Math.min(allocation.targetValue - allocation.value, cash);
+    if (spend < minimumTradeValue) {
+      continue;
+    }
+
+    // The fee comes out of the amount spent
+    const { fee } = await quoteFee(userId, {
+      symbol: allocation.symbol,
+      amount: spend / allocation.price,
+      price: allocation.price,
+      liquidity: 'taker'
+    });
+    const amount = (spend - fee) / allocation.price;
+    if (amount <= 0) {
+      continue;
+    }
+
+    trades.push({ type: 'buy', symbol: allocation.symbol, name: allocation.name, amount, price: allocation.price, value: amount * allocation.price, fee, total: spend });
+    cash -= spend;
+  }
+
+  return {
+    portfolioId: portfolio._id,
+    totalValue,
+    cashBalance: portfolio.cashBalance,
+    cashTargetWeight: 100 - [...targets.values()].reduce((sum, weight) => sum + weight, 0),
+    allocations: allocations.map(({ targetValue, ...allocation }) => allocation),
+    maxDrift: Math.max(0, ...allocations.map(a => Math.abs(a.drift))),
+    trades,
+    estimatedFees: trades.reduce((sum, trade) => sum + trade.fee, 0),
+    cashAfter: cash,
+    minimumTradeValue,
+    missingPrices,
+    autoRebalance: portfolio.autoRebalance,
+    lastRebalancedAt: portfolio.lastRebalancedAt
+  };
+}
+
+// Re-plan at fresh prices and execute every proposed trade in one MongoDB
+// transaction, so the batch either fills completely or not at all
+export async function executeRebalance(userId, portfolioId) {
+  const plan = await buildRebalancePlan(userId, portfolioId, { strict: true });
+  if (plan.trades.length === 0) {
+    return { plan, portfolio: null, transactions: [] };
+  }
+
+  const { portfolio, transactions } = await runInTransaction(async (session) => {
+    const filled = [];
+    let latest;
+
+    for (const trade of plan.trades) {
+      const result = await applyTrade(session, {
+        userId,
+        portfolioId: plan.portfolioId,
+        type: trade.type,
+        symbol: trade.symbol,
+        name: trade.name,
+        amount: trade.amount,
+        price: trade.price,
+        fee: trade.fee,
+        transactionFields: { notes: 'Portfolio rebalance' }
+      });
+      filled.push(result.transaction);
+      latest = result.portfolio;
+    }
+
+    latest.lastRebalancedAt = new Date();
+    await latest.save({ session });
+
+    return { portfolio: latest, transactions: filled };
+  });
+
+  recordSnapshot(portfolio, 'trade')
+    .catch(err => console.error('Post-rebalance snapshot error:', err.message));
+
+  return { plan, portfolio, transactions };
+}
+
+// Scheduled check of portfolios with automatic rebalancing switched on: any
+// that drifted past their threshold are rebalanced and the owner notified
+export async function runAutoRebalancing() {
+  const portfolios = await Portfolio.find({
+    'autoRebalance.enabled': true,
+    'targetAllocations.0': { $exists: true }
+  }).select('userId name kind autoRebalance');
+  const tradeRestricted = getRestrictedActions().includes('trade');
+  let rebalanced = 0;
+
+  for (const { _id: portfolioId, userId, name, kind, autoRebalance } of portfolios) {
+    try {
+      const user = await User.findById(userId);
+      if (!user || user.deletionScheduledFor || (tradeRestricted && !user.isVerified && kind !== 'paper')) {
+        continue;
+      }
+
+      const preview = await buildRebalancePlan(userId, portfolioId);
+      if (preview.maxDrift < autoRebalance.driftThreshold || preview.trades.length === 0) {
+        continue;
+      }
+
+      const { plan, transactions } = await executeRebalance(userId, portfolioId);
+      if (transactions.length === 0) {
+        continue;
+      }
+      rebalanced++;
+
+      await notify(user, {
+        type: 'portfolio_rebalanced',
+        title: `Portfolio ${name} rebalanced`,
+        message: `Your ${name} portfolio drifted ${plan.maxDrift.toFixed(2)} points from its targets and was rebalanced with ${transactions.length} trade(s)`,
+        data: { portfolioId, maxDrift: plan.maxDrift, transactionIds: transactions.map(t => t._id) }
+      });
+    } catch (err) {
+      console.error(`Auto-rebalance of portfolio ${portfolioId} failed:`, err.message);
+    }
+  }
+
+  return rebalanced;
+}
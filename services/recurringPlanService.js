@@ -0,0 +1,186 @@
+import RecurringPlan from '../models/RecurringPlan.js';
+import Portfolio from '../models/Portfolio.js';
+import User from '../models/User.js';
+import { getQuote, PriceUnavailableError } from './priceService.js';
+import { settleTrade, TradeError } from './tradeService.js';
+import { quoteFee } from './feeService.js';
+import { notify } from './notificationService.js';
+import { getRestrictedActions } from './verificationService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CADENCE_DAYS = { daily: 1, weekly: 7, biweekly: 14 };
+const MAX_RUNS_KEPT = 200;
+
+// The k-th occurrence (k = 0 is startAt). Monthly plans keep startAt's day of
+// the month, falling back to the last day in shorter months.
+function occurrence(startAt, cadence, k) {
+  if (cadence !== 'monthly') {
+    return new Date(startAt.getTime() + k * CADENCE_DAYS[cadence] * DAY);
+  }
+
+  const date = new Date(startAt);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + k);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date;
+}
+
+// First occurrence at or after `after`, or null once the plan's end has passed
+export function nextOccurrence(plan, after = new Date()) {
+  const startAt = new Date(plan.startAt);
+  let k;
+  if (plan.cadence === 'monthly') {
+    k = (after.getUTCFullYear() - startAt.getUTCFullYear()) * 12 + after.getUTCMonth() - startAt.getUTCMonth() - 1;
+  } else {
+    k = Math.ceil((after - startAt) / (CADENCE_DAYS[plan.cadence] * DAY));
+  }
+  k = Math.max(0, k);
+
+  let next = occurrence(startAt, plan.cadence, k);
+  while (next < after) {
+    next = occurrence(startAt, plan.cadence, ++k);
+  }
+
+  return plan.endAt && next > plan.endAt ? null : next;
+}
+
+// Buy the plan's fiat amount at the live price. Returns the run to record.
+async function executePlan(plan, portfolio, scheduledFor) {
+  const run = { scheduledFor, ranAt: new Date() };
+
+  let quote;
+  try {
+    quote = await getQuote(plan.symbol, { allowStale: false });
+  } catch (error) {
+    if (error instanceof PriceUnavailableError) {
+      return { ...run, status: 'skipped', reason: 'price_unavailable', message: error.message };
+    }
+    throw error;
+  }
+
+  if (portfolio.cashBalance < plan.fiatAmount) {
+    return {
+      ...run,
+      status: 'skipped',
+      reason: 'insufficient_funds',
+      message: `Cash balance is below ${plan.fiatAmount}`
+    };
+  }
+
+  // The fee comes out of the fiat amount, so each run spends exactly fiatAmount
+  const price = quote.price;
+  const { fee } = await quoteFee(plan.userId, {
+    symbol: plan.symbol,
+    amount: plan.fiatAmount / price,
+    price,
+    liquidity: 'taker'
+  });
+  const amount = (plan.fiatAmount - fee) / price;
+  if (amount <= 0) {
+    return { ...run, status: 'skipped', reason: 'trade_rejected', message: 'Amount does not cover the trading fee' };
+  }
+
+  try {
+    const { transaction } = await settleTrade({
+      userId: plan.userId,
+      portfolioId: portfolio._id,
+      type: 'buy',
+      symbol: plan.symbol,
+      name: plan.name,
+      amount,
+      price,
+      fee,
+      transactionFields: {
+        priceSource: quote.source,
+        recurringPlanId: plan._id
+      }
+    });
+
+    return { ...run, status: 'executed', transactionId: transaction._id, price, amount, fee };
+  } catch (error) {
+    if (error instanceof TradeError) {
+      const reason = /insufficient cash/i.test(error.message) ? 'insufficient_funds' : 'trade_rejected';
+      return { ...run, status: 'skipped', reason, message: error.message };
+    }
+    throw error;
+  }
+}
+
+// Why the plan's owner may not trade in `portfolio` right now, or null if they
+// may. Same rules as automatic rebalancing: no trades during a deletion grace
+// period, or while unverified if the policy restricts real trading.
+function tradingRestriction(user, portfolio) {
+  if (user.deletionScheduledFor) {
+    return 'Account is scheduled for deletion';
+  }
+  if (!user.isVerified && !portfolio.isPaper && getRestrictedActions().includes('trade')) {
+    return 'Verify your email address to resume recurring buys';
+  }
+  return null;
+}
+
+async function notifySkipped(user, plan, run) {
+  await notify(user, {
+    type: 'recurring_buy_skipped',
+    title: `Recurring ${plan.symbol} buy skipped`,
+    message: `Your recurring buy of ${plan.fiatAmount} of ${plan.symbol} was skipped: ${run.message}`,
+    data: { planId: plan._id, symbol: plan.symbol, reason: run.reason }
+  });
+}
+
+// Scheduled run of all due plans. Each plan is claimed by moving nextRunAt on
+// before it executes, so a run happens once even with several job instances.
+// Occurrences missed while the job was not running are not caught up.
+export async function runDuePlans() {
+  const now = new Date();
+  const plans = await RecurringPlan.find({ status: 'active', nextRunAt: { $lte: now } });
+  let executed = 0;
+
+  for (const plan of plans) {
+    const user = await User.findById(plan.userId);
+    if (!user) {
+      continue;
+    }
+
+    const scheduledFor = plan.nextRunAt;
+    const next = nextOccurrence(plan, new Date(Math.max(now.getTime(), scheduledFor.getTime() + 1)));
+
+    const claimed = await RecurringPlan.findOneAndUpdate(
+      { _id: plan._id, status: 'active', nextRunAt: scheduledFor },
+      next
+        ? { nextRunAt: next, lastRunAt: now }
+        : { status: 'ended', $unset: { nextRunAt: 1 }, lastRunAt: now },
+      { new: true }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    let run;
+    try {
+      const portfolio = await Portfolio.findForUser(plan.userId, plan.portfolioId);
+      const restriction = portfolio ? tradingRestriction(user, portfolio) : 'Portfolio not found';
+      run = restriction
+        ? { scheduledFor, ranAt: new Date(), status: 'skipped', reason: portfolio ? 'account_restricted' : 'trade_rejected', message: restriction }
+        : await executePlan(claimed, portfolio, scheduledFor);
+    } catch (err) {
+      console.error(`Recurring plan ${plan._id} run error:`, err.message);
+      run = { scheduledFor, ranAt: new Date(), status: 'skipped', reason: 'error', message: 'Unexpected error' };
+    }
+
+    await RecurringPlan.updateOne({ _id: plan._id }, {
+      $push: { runs: { $each: [run], $slice: -MAX_RUNS_KEPT } }
+    });
+
+    if (run.status === 'executed') {
+      executed++;
+    } else {
+      notifySkipped(user, claimed, run)
+        .catch(err => console.error('Recurring plan notification error:', err.message));
+    }
+  }
+
+  return executed;
+}
@@ -0,0 +1,158 @@
+import Session from '../models/Session.js';
+import { createToken, hashToken } from '../utils/tokens.js';
+import { generateAccessToken } from './tokenService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_TOKENS = 100;
+
+// How often lastSeenAt is written, so busy clients don't update it on every request
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+// A refresh/session failure; `status` is the HTTP status to answer with
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+const refreshLifetime = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * DAY;
+
+// "Chrome on Windows" style label from a user-agent string
+export function describeDevice(userAgent = '') {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Dalvik/, 'Android app'],
+    [/CFNetwork|Darwin/, 'iOS app']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'Unknown browser';
+
+  const os = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'unknown OS';
+
+  return `${browser} on ${os}`;
+}
+
+// User agent, device label and IP of the client making a request
+export function getClientInfo(req) {
+  const userAgent = req.get('User-Agent') || '';
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip
+  };
+}
+
+function issueTokens(session, refreshToken) {
+  return {
+    accessToken: generateAccessToken(session.userId, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    session
+  };
+}
+
+// Start a session for a user who just authenticated
+export async function createSession(user, req) {
+  const { token, hash } = createToken(48);
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hash,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + refreshLifetime())
+  });
+
+  return issueTokens(session, token);
+}
+
+// Exchange a refresh token for a new access/refresh pair. The old refresh token
+// stops working; if it is ever presented again the session is revoked.
+export async function rotateRefreshToken(refreshToken, req) {
+  const presentedHash = hashToken(refreshToken);
+  const { token, hash } = createToken(48);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: presentedHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hash,
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } },
+      ...getClientInfo(req),
+      lastSeenAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return issueTokens(session, token);
+  }
+
+  // Reuse of a rotated-out token: someone else may hold the current one
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: presentedHash, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: 'token_reuse' }
+  );
+  if (reused) {
+    console.warn(`Refresh token reuse detected, session ${reused._id} revoked`);
+  }
+
+  throw new SessionError('Invalid or expired refresh token');
+}
+
+// Load the active session an access token belongs to, or null
+export async function getActiveSession(sessionId, userId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: sessionId, userId });
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return session;
+}
+
+export async function revokeSession(userId, sessionId, reason) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+export async function revokeAllSessions(userId, reason, { except } = {}) {
+  const filter = { userId, revokedAt: { $exists: false } };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+}
+
+export function listActiveSessions(userId) {
+  return Session.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+}
@@ -0,0 +1,104 @@
+import Portfolio from '../models/Portfolio.js';
+import PortfolioSnapshot from '../models/PortfolioSnapshot.js';
+import Transaction from '../models/Transaction.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { getPrices } from './priceService.js';
+import { buildValueSeries } from './valuation.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function snapshotFromPortfolio(portfolio, source) {
+  return {
+    userId: portfolio.userId,
+    portfolioId: portfolio._id,
+    takenAt: new Date(),
+    totalValue: portfolio.totalValue,
+    totalInvested: portfolio.totalInvested,
+    holdings: portfolio.holdings.map(holding => {
+      const price = holding.currentPrice || holding.averagePrice;
+      return {
+        symbol: holding.symbol,
+        amount: holding.amount,
+        price,
+        value: holding.amount * price,
+        invested: holding.totalInvested
+      };
+    }),
+    source
+  };
+}
+
+// Record the portfolio's current value. Prices are refreshed from the price
+// service first so a snapshot taken right after a trade reflects the market.
+export async function recordSnapshot(portfolio, source = 'scheduled') {
+  if (portfolio.holdings.length > 0) {
+    const { prices } = await getPrices(portfolio.holdings.map(h => h.symbol));
+    portfolio.updateCurrentPrices(prices);
+  }
+
+  return PortfolioSnapshot.create(snapshotFromPortfolio(portfolio, source));
+}
+
+// Snapshot every portfolio that holds something. Prices for all symbols are
+// fetched in one go so the provider sees a single request per run.
+export async function snapshotAllPortfolios() {
+  const portfolios = await Portfolio.find({ 'holdings.0': { $exists: true } });
+  const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+  const { prices } = await getPrices(symbols);
+
+  const snapshots = portfolios.map(portfolio => {
+    portfolio.updateCurrentPrices(prices);
+    return snapshotFromPortfolio(portfolio, 'scheduled');
+  });
+
+  if (snapshots.length > 0) {
+    await PortfolioSnapshot.insertMany(snapshots);
+  }
+
+  return snapshots.length;
+}
+
+// Rebuild a portfolio's history from its Transaction records using historical prices.
+// Earlier backfilled snapshots are replaced; scheduled and trade snapshots are kept.
+export async function backfillSnapshots(userId, portfolio, { stepHours = 24 } = {}) {
+  const transactions = await Transaction.find(Transaction.holdingHistoryQuery(userId, portfolio))
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (transactions.length === 0) {
+    return 0;
+  }
+
+  const start = transactions[0].createdAt;
+  const end = new Date();
+  const { series } = await buildValueSeries(transactions, start, end, stepHours * HOUR);
+
+  const snapshots = series.map(point => ({
+    userId,
+    portfolioId: portfolio._id,
+    takenAt: new Date(point.time),
+    totalValue: point.value,
+    totalInvested: point.invested,
+    holdings: Object.entries(point.bySymbol)
+      .filter(([, holding]) => holding.amount > 0)
+      .map(([symbol, holding]) => ({
+        symbol,
+        amount: holding.amount,
+        price: holding.price,
+        value: holding.value,
+        invested: holding.invested
+      })),
+    source: 'backfill'
+  }));
+
+  // Replace the old backfill in one transaction so a failed insert keeps it.
+  // Stamping the portfolio first makes concurrent backfills of it conflict
+  // (and retry) instead of both inserting.
+  await runInTransaction(async (session) => {
+    await Portfolio.updateOne({ _id: portfolio._id }, { lastBackfilledAt: new Date() }, { session });
+    await PortfolioSnapshot.deleteMany({ userId, ...portfolio.scopeFilter(), source: 'backfill' }, { session });
+    await PortfolioSnapshot.insertMany(snapshots, { session });
+  });
+
+  return snapshots.length;
+}
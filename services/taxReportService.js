@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import { toCsv } from '../utils/csv.js';
+
+const round = (value, decimals = 8) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Held for more than one year counts as long-term
+function holdingTerm(acquiredAt, soldAt) {
+  const oneYearLater = new Date(acquiredAt);
+  oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+  return soldAt > oneYearLater ? 'long' : 'short';
+}
+
+const executedAt = transaction => transaction.executedAt || transaction.createdAt;
+
+// One disposal row per lot a sell consumed. The sell fee is allocated to the lots
+// pro rata by amount and deducted from proceeds; buy fees are already part of each
+// lot's cost per unit. Sells made before lots were tracked have no known basis.
+function disposalsForSale(sale) {
+  const soldAt = executedAt(sale);
+  const netProceeds = sale.amount * sale.price - sale.fee;
+
+  if (!sale.lotsConsumed?.length) {
+    return [{
+      transactionId: sale._id,
+      symbol: sale.symbol,
+      amount: sale.amount,
+      acquiredAt: null,
+      soldAt,
+      proceeds: round(netProceeds),
+      costBasis: null,
+      gain: null,
+      term: null,
+      fee: round(sale.fee)
+    }];
+  }
+
+  return sale.lotsConsumed.map(lot => {
+    const share = lot.amount / sale.amount;
+    const proceeds = netProceeds * share;
+    const costBasis = lot.amount * lot.costPerUnit;
+    return {
+      transactionId: sale._id,
+      lotId: lot.lotId,
+      symbol: sale.symbol,
+      amount: round(lot.amount),
+      acquiredAt: lot.acquiredAt,
+      soldAt,
+      proceeds: round(proceeds),
+      costBasis: round(costBasis),
+      gain: round(proceeds - costBasis),
+      term: holdingTerm(lot.acquiredAt, soldAt),
+      fee: round(sale.fee * share)
+    };
+  });
+}
+
+function summarize(disposals) {
+  const summary = { count: disposals.length, proceeds: 0, costBasis: 0, gain: 0, fees: 0 };
+  disposals.forEach(disposal => {
+    summary.proceeds += disposal.proceeds;
+    summary.costBasis += disposal.costBasis;
+    summary.gain += disposal.gain;
+    summary.fees += disposal.fee;
+  });
+  return {
+    count: summary.count,
+    proceeds: round(summary.proceeds),
+    costBasis: round(summary.costBasis),
+    gain: round(summary.gain),
+    fees: round(summary.fees)
+  };
+}
+
+// Capital-gains report for one calendar year (UTC): every disposal with its
+// acquisition date, proceeds, cost basis, gain and short/long-term classification
+export async function buildTaxReport(userId, year) {
+  const start = new Date(Date.UTC(year, 0, 1));
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+
+  const sales = await Transaction.find({
+    userId,
+    type: 'sell',
+    status: 'completed',
+    // Paper trades are practice, not taxable disposals
+    simulated: { $ne: true },
+    $or: [
+      { executedAt: { $gte: start, $lt: end } },
+      { executedAt: { $exists: false }, createdAt: { $gte: start, $lt: end } }
+    ]
+  }).lean();
+
+  const disposals = sales
+    .flatMap(disposalsForSale)
+    .sort((a, b) => a.soldAt - b.soldAt || (a.acquiredAt || 0) - (b.acquiredAt || 0));
+
+  const known = disposals.filter(d => d.term);
+  const shortTerm = summarize(known.filter(d => d.term === 'short'));
+  const longTerm = summarize(known.filter(d => d.term === 'long'));
+  const unknownBasis = disposals.filter(d => !d.term);
+
+  return {
+    year,
+    generatedAt: new Date(),
+    summary: {
+      shortTerm,
+      longTerm,
+      total: summarize(known),
+      unknownBasis: {
+        count: unknownBasis.length,
+        proceeds: round(unknownBasis.reduce((sum, d) => sum + d.proceeds, 0))
+      }
+    },
+    disposals
+  };
+}
+
+// Years with at least one completed sale, newest first
+export async function getTaxYears(userId) {
+  const years = await Transaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), type: 'sell', status: 'completed', simulated: { $ne: true } } },
+    { $group: { _id: { $year: { $ifNull: ['$executedAt', '$createdAt'] } } } },
+    { $sort: { _id: -1 } }
+  ]);
+  return years.map(entry => entry._id);
+}
+
+const isoDate = date => (date ? date.toISOString().slice(0, 10) : 'VARIOUS');
+
+// MM/DD/YYYY, as on Form 8949
+const formDate = date => (date
+  ? `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')}/${date.getUTCFullYear()}`
+  : 'VARIOUS');
+
+const money = value => (value === null ? '' : value.toFixed(2));
+
+const DISPOSAL_CSV_COLUMNS = [
+  { header: 'Symbol', value: 'symbol' },
+  { header: 'Amount', value: 'amount' },
+  { header: 'Date Acquired', value: d => isoDate(d.acquiredAt) },
+  { header: 'Date Sold', value: d => isoDate(d.soldAt) },
+  { header: 'Proceeds', value: 'proceeds' },
+  { header: 'Cost Basis', value: 'costBasis' },
+  { header: 'Gain', value: 'gain' },
+  { header: 'Term', value: d => d.term || 'unknown' },
+  { header: 'Fee', value: 'fee' },
+  { header: 'Transaction ID', value: 'transactionId' }
+];
+
+const FORM_8949_COLUMNS = [
+  { header: 'Part', value: 'part' },
+  { header: '(a) Description of property', value: 'description' },
+  { header: '(b) Date acquired', value: 'acquired' },
+  { header: '(c) Date sold or disposed of', value: 'sold' },
+  { header: '(d) Proceeds', value: 'proceeds' },
+  { header: '(e) Cost or other basis', value: 'costBasis' },
+  { header: '(f) Code(s)', value: 'code' },
+  { header: '(g) Amount of adjustment', value: 'adjustment' },
+  { header: '(h) Gain or (loss)', value: 'gain' }
+];
+
+// Plain CSV of every disposal
+export function taxReportToCsv(report) {
+  return toCsv(report.disposals, DISPOSAL_CSV_COLUMNS);
+}
+
+// Form 8949 layout: Part I (short-term) and Part II (long-term) rows with a total
+// line each. Disposals without a known basis are listed in Part I for review but
+// left out of the totals, as their gain cannot be computed.
+export function taxReportToForm8949(report) {
+  const rows = [];
+  const parts = [
+    ['I', 'Short-term', report.disposals.filter(d => d.term !== 'long'), report.summary.shortTerm],
+    ['II', 'Long-term', report.disposals.filter(d => d.term === 'long'), report.summary.longTerm]
+  ];
+
+  for (const [part, label, disposals, totals] of parts) {
+    disposals.forEach(d => rows.push({
+      part: `${part} (${label})`,
+      description: `${d.amount} ${d.symbol}`,
+      acquired: formDate(d.acquiredAt),
+      sold: formDate(d.soldAt),
+      proceeds: money(d.proceeds),
+      costBasis: money(d.costBasis),
+      code: '',
+      adjustment: '',
+      gain: money(d.gain)
+    }));
+    rows.push({
+      part: `${part} (${label})`,
+      description: 'Totals',
+      proceeds: money(totals.proceeds),
+      costBasis: money(totals.costBasis),
+      gain: money(totals.gain)
+    });
+  }
+
+  return toCsv(rows, FORM_8949_COLUMNS);
+}
@@ -0,0 +1,27 @@
+import jwt from 'jsonwebtoken';
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Generate a short-lived JWT access token bound to a server-side session
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+  });
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded.
+// It carries a `purpose` claim so the auth middleware never accepts it as an access token.
+export const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Returns the user id from a valid challenge token; throws if invalid or expired
+export const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Not a two-factor challenge token');
+  }
+  return decoded.id;
+};
@@ -0,0 +1,294 @@
+import crypto from 'crypto';
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import TradeQuote from '../models/TradeQuote.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { getQuote } from './priceService.js';
+import { recordSnapshot } from './snapshotService.js';
+import { getCostBasisMethod, openLot, consumeLots } from './lotService.js';
+import { quoteFee } from './feeService.js';
+
+// A trade rejected for a business reason; `status` is the HTTP status to answer with
+export class TradeError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'TradeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Maximum fraction the live price may move past the client's price before a trade is rejected
+export function getPriceTolerance() {
+  const tolerance = parseFloat(process.env.TRADE_PRICE_TOLERANCE);
+  return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 0.01;
+}
+
+// Apply a fill to a portfolio (the user's default one without `portfolioId`) and
+// record it using the given MongoDB session.
+// Buys are paid from cash and sale proceeds are credited to it. The portfolio
+// uses optimistic concurrency, so two requests racing on the same holdings
+// cause one to retry against the updated document and fail the balance checks.
+// With `pendingTransactionId` the order's pending Transaction is completed
+// instead of a new one being created. Buys open a tax lot; sells consume lots
+// and record their cost basis and realized gain on the Transaction.
+export async function applyTrade(session, {
+  userId,
+  portfolioId,
+  type,
+  symbol,
+  name,
+  amount,
+  price,
+  fee,
+  pendingTransactionId,
+  transactionFields = {}
+}) {
+  const upperSymbol = symbol.toUpperCase();
+  const total = type === 'buy' ? (amount * price) + fee : (amount * price) - fee;
+  const portfolio = await Portfolio.findForUser(userId, portfolioId, { session });
+  if (!portfolio) {
+    throw new TradeError('Portfolio not found', 404);
+  }
+  const holding = portfolio.holdings.find(h => h.symbol === upperSymbol);
+  const heldAmount = holding?.amount || 0;
+  const averagePrice = holding?.averagePrice || 0;
+
+  try {
+    if (type === 'buy') {
+      portfolio.debitCash(total);
+      portfolio.addOrUpdateHolding(upperSymbol, name, amount, price, type);
+    } else {
+      // addOrUpdateHolding ignores sells of a symbol that is not held at all
+      if (heldAmount < amount) {
+        throw new Error('Insufficient holdings to sell');
+      }
+      portfolio.addOrUpdateHolding(upperSymbol, name, amount, price, type);
+      portfolio.creditCash(total);
+    }
+  } catch (balanceError) {
+    throw new TradeError(balanceError.message);
+  }
+
+  await portfolio.save({ session });
+
+  // Sells realise the gain over the cost of the lots they consume
+  let costBasisFields = {};
+  if (type === 'sell') {
+    const method = await getCostBasisMethod(userId, session);
+    const { costBasis, lots } = await consumeLots(session, {
+      userId,
+      portfolio,
+      symbol: upperSymbol,
+      amount,
+      method,
+      heldAmount,
+      averagePrice
+    });
+    costBasisFields = {
+      costBasis,
+      realizedGain: total - costBasis,
+      costBasisMethod: method,
+      lotsConsumed: lots
+    };
+  }
+
+  const fields = {
+    ...transactionFields,
+    ...costBasisFields,
+    userId,
+    portfolioId: portfolio._id,
+    simulated: portfolio.isPaper,
+    type,
+    symbol: upperSymbol,
+    name,
+    amount,
+    price,
+    fee,
+    total,
+    status: 'completed',
+    executedAt: new Date()
+  };
+
+  let transaction;
+  if (pendingTransactionId) {
+    transaction = await Transaction.findOneAndUpdate(
+      { _id: pendingTransactionId, userId, status: 'pending' },
+      fields,
+      { new: true, session }
+    );
+    if (!transaction) {
+      throw new TradeError('Transaction is no longer pending', 409);
+    }
+  } else {
+    [transaction] = await Transaction.create([fields], { session });
+  }
+
+  if (type === 'buy') {
+    await openLot(session, {
+      userId,
+      portfolioId: portfolio._id,
+      symbol: upperSymbol,
+      amount,
+      price,
+      fee,
+      transactionId: transaction._id,
+      acquiredAt: transaction.executedAt
+    });
+  }
+
+  return { portfolio, transaction };
+}
+
+// Apply a fill in its own MongoDB transaction, then snapshot the portfolio
+export async function settleTrade(params) {
+  const result = await runInTransaction(session => applyTrade(session, params));
+
+  recordSnapshot(result.portfolio, 'trade')
+    .catch(err => console.error('Post-trade snapshot error:', err.message));
+
+  return result;
+}
+
+// Execute a market trade at the live price. `quotedPrice`, if given, is the price
+// the client saw and acts as a slippage limit within the configured tolerance.
+export async function executeMarketTrade({ userId, portfolioId, type, symbol, name, amount, quotedPrice }) {
+  const liveQuote = await getQuote(symbol, { allowStale: false });
+  const price = liveQuote.price;
+
+  if (quotedPrice !== undefined) {
+    const tolerance = getPriceTolerance();
+    const priceLimit = type === 'buy' ? quotedPrice * (1 + tolerance) : quotedPrice * (1 - tolerance);
+    const outsideLimit = type === 'buy' ? price > priceLimit : price < priceLimit;
+
+    if (outsideLimit) {
+      throw new TradeError('Price moved beyond the allowed tolerance, please review the new price', 409, {
+        quotedPrice,
+        livePrice: price,
+        tolerance
+      });
+    }
+  }
+
+  const { fee } = await quoteFee(userId, { symbol, amount, price, liquidity: 'taker' });
+
+  return settleTrade({
+    userId,
+    portfolioId,
+    type,
+    symbol,
+    name,
+    amount,
+    price,
+    fee,
+    transactionFields: {
+      quotedPrice,
+      priceSource: liveQuote.source
+    }
+  });
+}
+
+const quoteTtlSeconds = () => parseInt(process.env.TRADE_QUOTE_TTL_SECONDS) || 15;
+
+function signQuote(quote) {
+  const terms = [
+    quote._id,
+    quote.userId,
+    quote.portfolioId,
+    quote.side,
+    quote.symbol,
+    quote.amount,
+    quote.price,
+    quote.fee,
+    quote.total,
+    quote.expiresAt.toISOString()
+  ].join('|');
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(terms).digest('hex');
+}
+
+function signatureMatches(quote) {
+  const expected = Buffer.from(signQuote(quote));
+  const actual = Buffer.from(quote.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Lock in the live price and fee for a trade for a few seconds
+export async function createTradeQuote({ userId, portfolioId, type, symbol, name, amount }) {
+  const liveQuote = await getQuote(symbol, { allowStale: false });
+  const price = liveQuote.price;
+  const { fee } = await quoteFee(userId, { symbol, amount, price, liquidity: 'taker' });
+
+  const quote = new TradeQuote({
+    userId,
+    portfolioId,
+    side: type,
+    symbol,
+    name,
+    amount,
+    price,
+    fee,
+    total: type === 'buy' ? (amount * price) + fee : (amount * price) - fee,
+    priceSource: liveQuote.source,
+    expiresAt: new Date(Date.now() + quoteTtlSeconds() * 1000)
+  });
+  quote.signature = signQuote(quote);
+  await quote.save();
+
+  return quote;
+}
+
+// Execute a quote at exactly its terms. The quote is claimed in the same MongoDB
+// transaction as the fill, so a failed fill (e.g. insufficient cash) leaves it usable.
+// `portfolioId` is the portfolio the request was authorized for and must be the quote's.
+export async function executeQuotedTrade(userId, quoteId, portfolioId) {
+  const result = await runInTransaction(async (session) => {
+    const quote = await TradeQuote.findOneAndUpdate(
+      { _id: quoteId, userId, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!quote) {
+      const existing = await TradeQuote.findOne({ _id: quoteId, userId }).session(session);
+      if (!existing) {
+        throw new TradeError('Quote not found', 404);
+      }
+      if (existing.usedAt) {
+        throw new TradeError('Quote has already been used', 409, { transactionId: existing.transactionId });
+      }
+      throw new TradeError('Quote has expired, please request a new one', 410, { expiredAt: existing.expiresAt });
+    }
+    if (!signatureMatches(quote)) {
+      throw new TradeError('Quote is invalid', 400);
+    }
+    if (String(quote.portfolioId) !== String(portfolioId)) {
+      throw new TradeError('Quote was issued for a different portfolio; send its portfolioId with the trade', 409);
+    }
+
+    const trade = await applyTrade(session, {
+      userId,
+      portfolioId: quote.portfolioId,
+      type: quote.side,
+      symbol: quote.symbol,
+      name: quote.name,
+      amount: quote.amount,
+      price: quote.price,
+      fee: quote.fee,
+      transactionFields: {
+        quotedPrice: quote.price,
+        priceSource: quote.priceSource,
+        quoteId: quote._id
+      }
+    });
+
+    quote.transactionId = trade.transaction._id;
+    await quote.save({ session });
+
+    return trade;
+  });
+
+  recordSnapshot(result.portfolio, 'trade')
+    .catch(err => console.error('Post-trade snapshot error:', err.message));
+
+  return result;
+}
@@ -0,0 +1,175 @@
+import { Readable } from 'stream';
+import Transaction from '../models/Transaction.js';
+import Portfolio, { CASH_SYMBOL } from '../models/Portfolio.js';
+import { csvHeader, csvRow } from '../utils/csv.js';
+
+export const TRANSACTION_EXPORT_FORMATS = ['csv', 'ndjson', 'ofx'];
+
+export const TRANSACTION_CSV_COLUMNS = [
+  { header: 'Date', value: 'createdAt' },
+  { header: 'Type', value: 'type' },
+  { header: 'Status', value: 'status' },
+  { header: 'Symbol', value: 'symbol' },
+  { header: 'Name', value: 'name' },
+  { header: 'Amount', value: 'amount' },
+  { header: 'Price', value: 'price' },
+  { header: 'Fee', value: 'fee' },
+  { header: 'Total', value: 'total' },
+  { header: 'Cost Basis', value: 'costBasis' },
+  { header: 'Realized Gain', value: 'realizedGain' },
+  { header: 'Notes', value: 'notes' },
+  { header: 'Portfolio ID', value: 'portfolioId' },
+  { header: 'Simulated', value: tx => (tx.simulated ? 'yes' : 'no') },
+  { header: 'Transaction ID', value: '_id' }
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  ofx: 'application/x-ofx'
+};
+
+// Plain-object view used by the NDJSON export
+const exportFields = tx => ({
+  id: tx._id,
+  type: tx.type,
+  status: tx.status,
+  symbol: tx.symbol,
+  name: tx.name,
+  amount: tx.amount,
+  price: tx.price,
+  fee: tx.fee,
+  total: tx.total,
+  costBasis: tx.costBasis,
+  realizedGain: tx.realizedGain,
+  notes: tx.notes,
+  orderId: tx.orderId,
+  portfolioId: tx.portfolioId,
+  transferId: tx.transferId,
+  simulated: tx.simulated,
+  source: tx.source,
+  date: tx.createdAt,
+  executedAt: tx.executedAt
+});
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// OFX date-time, e.g. 20240301123000.000[0:GMT]
+const ofxDate = date => `${date.toISOString().replace(/[-:T]/g, '').slice(0, 18)}[0:GMT]`;
+
+// Cash effect of a transaction: deposits, sale proceeds and incoming cash
+// transfers are credits. Asset transfers between portfolios move no cash.
+function cashMovement(tx) {
+  if ((tx.type === 'transfer_in' || tx.type === 'transfer_out') && tx.symbol !== CASH_SYMBOL) {
+    return 0;
+  }
+  const credit = tx.type === 'deposit' || tx.type === 'sell' || tx.type === 'transfer_in';
+  return credit ? tx.total : -tx.total;
+}
+
+function ofxDescription(tx) {
+  if (tx.type === 'buy' || tx.type === 'sell') {
+    return `${tx.type === 'buy' ? 'Buy' : 'Sell'} ${tx.amount} ${tx.symbol} @ ${tx.price}`;
+  }
+  if (tx.type === 'transfer_in' || tx.type === 'transfer_out') {
+    return tx.type === 'transfer_in' ? 'Transfer in' : 'Transfer out';
+  }
+  return tx.type === 'deposit' ? 'Deposit' : 'Withdrawal';
+}
+
+function ofxTransaction(tx) {
+  const amount = cashMovement(tx);
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${amount >= 0 ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(tx.executedAt || tx.createdAt)}</DTPOSTED>`,
+    `<TRNAMT>${amount.toFixed(2)}</TRNAMT>`,
+    `<FITID>${tx._id}</FITID>`,
+    `<NAME>${escapeXml(ofxDescription(tx)).slice(0, 32)}</NAME>`,
+    tx.notes && `<MEMO>${escapeXml(tx.notes).slice(0, 255)}</MEMO>`,
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n') + '\n';
+}
+
+// OFX 2.2 bank statement of the cash account. Balances are in USD since OFX has
+// no code for USDT; the ledger balance is the current cash balance.
+function ofxHeader(userId, { startDate, endDate }) {
+  const now = new Date();
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(now)}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    '<CURDEF>USD</CURDEF>',
+    `<BANKACCTFROM><BANKID>CRYPTOBACKEND</BANKID><ACCTID>${userId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(startDate ? new Date(startDate) : new Date(0))}</DTSTART>`,
+    `<DTEND>${ofxDate(endDate ? new Date(endDate) : now)}</DTEND>`,
+    ''
+  ].join('\n');
+}
+
+function ofxFooter(cashBalance) {
+  return [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${cashBalance.toFixed(2)}</BALAMT><DTASOF>${ofxDate(new Date())}</DTASOF></LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+async function* exportLines(userId, filters, format) {
+  // OFX is a statement of settled cash movements, so it defaults to completed ones
+  const query = Transaction.buildUserQuery(userId, {
+    ...filters,
+    status: filters.status || (format === 'ofx' ? 'completed' : undefined)
+  });
+  const cursor = Transaction.find(query).sort({ createdAt: 1 }).lean().cursor();
+
+  if (format === 'csv') {
+    yield csvHeader(TRANSACTION_CSV_COLUMNS);
+  } else if (format === 'ofx') {
+    yield ofxHeader(userId, filters);
+  }
+
+  for await (const tx of cursor) {
+    if (format === 'csv') {
+      yield csvRow(tx, TRANSACTION_CSV_COLUMNS);
+    } else if (format === 'ndjson') {
+      yield JSON.stringify(exportFields(tx)) + '\n';
+    } else if (cashMovement(tx) !== 0) {
+      yield ofxTransaction(tx);
+    }
+  }
+
+  if (format === 'ofx') {
+    const portfolios = filters.portfolio
+      ? [filters.portfolio]
+      : await Portfolio.find({ userId, kind: { $ne: 'paper' } }).select('cashBalance').lean();
+    yield ofxFooter(portfolios.reduce((sum, portfolio) => sum + portfolio.cashBalance, 0));
+  }
+}
+
+// Export the user's transactions matching `filters` (with `portfolio`, only that
+// portfolio's) as a stream. Rows are read from
+// a cursor and written as they arrive, so large histories never sit in memory.
+export function createTransactionExport(userId, filters, format) {
+  return {
+    contentType: CONTENT_TYPES[format],
+    extension: format,
+    stream: Readable.from(exportLines(userId, filters, format))
+  };
+}
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import runInTransaction from '../utils/runInTransaction.js';
+import { TradeError } from './tradeService.js';
+import { CASH_SYMBOL, CASH_NAME } from './cashService.js';
+import { transferLots } from './lotService.js';
+import { recordSnapshot } from './snapshotService.js';
+
+// Move cash (symbol CASH_SYMBOL) or an asset between two of a user's portfolios
+// as one MongoDB transaction. Assets move at their average cost, so the transfer
+// realizes no gain; their tax lots move with them. Each side is recorded as a
+// transfer_out / transfer_in Transaction sharing a transferId.
+export async function transferBetweenPortfolios(userId, { fromPortfolioId, toPortfolioId, symbol, amount }) {
+  if (String(fromPortfolioId) === String(toPortfolioId)) {
+    throw new TradeError('Choose two different portfolios');
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+
+  const result = await runInTransaction(async (session) => {
+    const from = await Portfolio.findForUser(userId, fromPortfolioId, { session });
+    const to = await Portfolio.findForUser(userId, toPortfolioId, { session });
+    if (!from || !to) {
+      throw new TradeError('Portfolio not found', 404);
+    }
+    if (from.isPaper || to.isPaper) {
+      throw new TradeError('Simulated funds cannot be moved to or from a paper portfolio');
+    }
+
+    let name = CASH_NAME;
+    let price = 1;
+    let holding;
+
+    if (upperSymbol === CASH_SYMBOL) {
+      try {
+        from.debitCash(amount);
+      } catch (balanceError) {
+        throw new TradeError(balanceError.message);
+      }
+      to.creditCash(amount);
+    } else {
+      holding = from.holdings.find(h => h.symbol === upperSymbol);
+      if (!holding || holding.amount < amount) {
+        throw new TradeError('Insufficient holdings to transfer');
+      }
+
+      holding = holding.toObject();
+      name = holding.name;
+      price = holding.averagePrice;
+      from.addOrUpdateHolding(upperSymbol, name, amount, price, 'sell');
+      to.addOrUpdateHolding(upperSymbol, name, amount, price, 'buy');
+    }
+
+    await from.save({ session });
+    await to.save({ session });
+
+    const transferId = new mongoose.Types.ObjectId();
+    const leg = (portfolio, counterparty, type) => ({
+      userId,
+      portfolioId: portfolio._id,
+      counterpartyPortfolioId: counterparty._id,
+      transferId,
+      type,
+      symbol: upperSymbol,
+      name,
+      amount,
+      price,
+      fee: 0,
+      total: amount * price,
+      status: 'completed',
+      executedAt: new Date(),
+      notes: `Transfer ${type === 'transfer_out' ? 'to' : 'from'} ${counterparty.name}`
+    });
+
+    const transactions = await Transaction.create([
+      leg(from, to, 'transfer_out'),
+      leg(to, from, 'transfer_in')
+    ], { session, ordered: true });
+
+    if (holding) {
+      await transferLots(session, {
+        userId,
+        from,
+        to,
+        symbol: upperSymbol,
+        amount,
+        heldAmount: holding.amount,
+        averagePrice: holding.averagePrice,
+        transactionId: transactions[1]._id
+      });
+    }
+
+    return { from, to, transactions };
+  });
+
+  if (upperSymbol !== CASH_SYMBOL) {
+    for (const portfolio of [result.from, result.to]) {
+      recordSnapshot(portfolio, 'trade')
+        .catch(err => console.error('Post-transfer snapshot error:', err.message));
+    }
+  }
+
+  return result;
+}
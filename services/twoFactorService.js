@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = code => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Load a user with the otherwise hidden two-factor fields
+export function findUserWithTwoFactor(userId) {
+  return User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+}
+
+// Start enrolment: store a new secret (2FA stays off until confirmed with a code)
+export async function beginEnrolment(user) {
+  const secret = generateSecret();
+  user.twoFactorSecret = secret;
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'CryptoBackend';
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email, issuer)
+  };
+}
+
+// Ten single-use codes formatted xxxxx-xxxxx; only their hashes are stored
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Check a TOTP code, refusing a code from a time step that was already used.
+// The step is recorded with a conditional update, so of two logins racing with
+// the same code only one is accepted.
+async function checkTotp(user, code) {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  if (modifiedCount !== 1) {
+    return false;
+  }
+
+  user.twoFactorLastStep = step;
+  return true;
+}
+
+// Check and consume a recovery code. Pulling it only if it is still there makes
+// each code usable once even under concurrent logins.
+async function checkRecoveryCode(user, recoveryCode) {
+  const hash = hashRecoveryCode(recoveryCode);
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  if (modifiedCount !== 1) {
+    return false;
+  }
+
+  user.twoFactorRecoveryCodes = (user.twoFactorRecoveryCodes || []).filter(c => c !== hash);
+  return true;
+}
+
+// Verify a second factor (a TOTP `code` or a one-time `recoveryCode`) for a user
+// loaded with findUserWithTwoFactor. Successful checks are persisted atomically
+// so neither can be replayed. Returns the method used, or null if verification failed.
+export async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (code && await checkTotp(user, code)) {
+    return 'totp';
+  }
+  if (recoveryCode && await checkRecoveryCode(user, recoveryCode)) {
+    return 'recovery_code';
+  }
+  return null;
+}
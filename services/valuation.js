@@ -0,0 +1,120 @@
+import { getPrices, getPriceHistory } from './priceService.js';
+
+// Last historical price at or before `time`, falling back to the first known point
+export function priceAt(points, time) {
+  if (!points || points.length === 0) {
+    return undefined;
+  }
+
+  let low = 0;
+  let high = points.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return points[Math.max(found, 0)].price;
+}
+
+// Value a portfolio's transaction history (completed buys, sells and asset transfers,
+// oldest first) at regular points between `start` and `end`. Each point carries the
+// total value, the amount invested (average-cost, as Portfolio.addOrUpdateHolding
+// keeps it), the net flow since the previous point, and the same broken down by
+// symbol. Transfers are recorded at average cost but flow at the market price.
+export async function buildValueSeries(transactions, start, end, step) {
+  const symbols = [...new Set(transactions.map(tx => tx.symbol))];
+
+  const histories = {};
+  await Promise.all(symbols.map(async symbol => {
+    try {
+      histories[symbol] = await getPriceHistory(symbol, new Date(start.getTime() - step), end);
+    } catch (err) {
+      console.error(`Price history unavailable for ${symbol}:`, err.message);
+      histories[symbol] = [];
+    }
+  }));
+
+  const live = await getPrices(symbols);
+  const lastTradePrice = {};
+  const amounts = {};
+  const invested = {};
+  const series = [];
+
+  const times = [];
+  for (let time = start.getTime(); time < end.getTime(); time += step) {
+    times.push(time);
+  }
+  times.push(end.getTime());
+
+  let cursor = 0;
+  times.forEach((time, index) => {
+    let flow = 0;
+    const symbolFlows = {};
+
+    while (cursor < transactions.length && transactions[cursor].createdAt.getTime() <= time) {
+      const tx = transactions[cursor];
+      const incoming = tx.type === 'buy' || tx.type === 'transfer_in';
+      const isTransfer = tx.type === 'transfer_in' || tx.type === 'transfer_out';
+      const signed = incoming ? tx.amount : -tx.amount;
+      const flowValue = isTransfer
+        ? tx.amount * (priceAt(histories[tx.symbol], tx.createdAt.getTime()) ?? tx.price)
+        : tx.total;
+      const cash = incoming ? flowValue : -flowValue;
+
+      const held = amounts[tx.symbol] || 0;
+      if (incoming) {
+        invested[tx.symbol] = (invested[tx.symbol] || 0) + tx.amount * tx.price;
+      } else if (held > 0) {
+        invested[tx.symbol] = (invested[tx.symbol] || 0) * Math.max(1 - tx.amount / held, 0);
+      }
+
+      amounts[tx.symbol] = held + signed;
+      if (!isTransfer) {
+        lastTradePrice[tx.symbol] = tx.price;
+      }
+
+      // Trades before the first point are part of the starting value, not a flow
+      if (index > 0) {
+        flow += cash;
+        symbolFlows[tx.symbol] = (symbolFlows[tx.symbol] || 0) + cash;
+      }
+      cursor++;
+    }
+
+    const isLast = index === times.length - 1;
+    const bySymbol = {};
+    let value = 0;
+    let totalInvested = 0;
+
+    Object.entries(amounts).forEach(([symbol, amount]) => {
+      const livePrice = isLast ? live.prices[symbol]?.price : undefined;
+      const price = livePrice
+        ?? priceAt(histories[symbol], time)
+        ?? lastTradePrice[symbol]
+        ?? 0;
+      const held = Math.max(amount, 0);
+      const symbolValue = held * price;
+
+      bySymbol[symbol] = {
+        amount: held,
+        price,
+        value: symbolValue,
+        invested: invested[symbol] || 0,
+        flow: symbolFlows[symbol] || 0
+      };
+      value += symbolValue;
+      totalInvested += invested[symbol] || 0;
+    });
+
+    series.push({ time, value, invested: totalInvested, flow, bySymbol });
+  });
+
+  return { series, prices: live };
+}
+
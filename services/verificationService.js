@@ -0,0 +1,41 @@
+import { createToken } from '../utils/tokens.js';
+import { sendVerificationEmail } from './emails.js';
+
+const expiryHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+const resendIntervalSeconds = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Actions blocked for unverified accounts, from UNVERIFIED_ACCOUNT_RESTRICTIONS
+// (comma-separated: trade, withdraw). Nothing is blocked unless it is set, since
+// accounts created before email verification existed have never been verified.
+export function getRestrictedActions() {
+  const setting = process.env.UNVERIFIED_ACCOUNT_RESTRICTIONS ?? '';
+  if (setting.trim() === 'none') {
+    return [];
+  }
+  return setting.split(',').map(action => action.trim()).filter(Boolean);
+}
+
+// Seconds until the user may request another verification email (0 = now)
+export function getResendWaitSeconds(user) {
+  if (!user.emailVerificationSentAt) {
+    return 0;
+  }
+  const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+  return Math.max(Math.ceil(resendIntervalSeconds() - elapsed), 0);
+}
+
+// Mark the user's email unverified, store a fresh hashed token and email the link.
+// The email is sent in the background; failures are logged.
+export async function issueEmailVerification(user) {
+  const { token, hash } = createToken();
+  const hours = expiryHours();
+
+  user.isVerified = false;
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+  user.emailVerificationSentAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  sendVerificationEmail(user, token, hours)
+    .catch(err => console.error('Verification email error:', err.message));
+}
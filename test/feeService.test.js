@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import FeeSchedule from '../models/FeeSchedule.js';
+import Transaction from '../models/Transaction.js';
+import { quoteFee, invalidateFeeSchedule } from '../services/feeService.js';
+
+const userId = new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildSchedule = (overrides = {}) => ({
+  minimumFee: 0,
+  tiers: [
+    { name: 'Pro', minVolume: 10000, makerRate: 0.0005, takerRate: 0.001 },
+    { name: 'Base', minVolume: 0, makerRate: 0.001, takerRate: 0.002 }
+  ],
+  symbolRates: [],
+  promotions: [],
+  ...overrides
+});
+
+const promotion = (discount, symbols = [], { startsAt = new Date(Date.now() - DAY), endsAt = new Date(Date.now() + DAY) } = {}) => ({
+  name: `${discount * 100}% off`,
+  discount,
+  symbols,
+  startsAt,
+  endsAt
+});
+
+describe('quoteFee', () => {
+  let schedule;
+  let volume;
+
+  beforeEach(() => {
+    invalidateFeeSchedule();
+    schedule = buildSchedule();
+    volume = 0;
+    mock.method(FeeSchedule, 'getActive', async () => schedule);
+    mock.method(Transaction, 'getTransactionStats', async () => [
+      { _id: 'buy', totalAmount: volume },
+      { _id: 'deposit', totalAmount: 1000000 }
+    ]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('charges the base tier rate below the first volume threshold', async () => {
+    const quote = await quoteFee(userId, { symbol: 'btc', amount: 1, price: 10000 });
+
+    assert.equal(quote.fee, 20);
+    assert.equal(quote.rate, 0.002);
+    assert.equal(quote.tier, 'Base');
+    assert.equal(quote.liquidity, 'taker');
+    assert.equal(quote.minimumFeeApplied, false);
+  });
+
+  it('moves to a higher tier on 30-day trading volume only', async () => {
+    volume = 15000;
+    const quote = await quoteFee(userId, { symbol: 'BTC', amount: 1, price: 10000, liquidity: 'maker' });
+
+    assert.equal(quote.fee, 5);
+    assert.equal(quote.tier, 'Pro');
+
+    const [, days, , options] = Transaction.getTransactionStats.mock.calls[0].arguments;
+    assert.equal(days, 30);
+    assert.deepEqual(options, { excludeSources: ['import', 'admin'] });
+  });
+
+  it('uses a symbol rate instead of the tiers', async () => {
+    schedule = buildSchedule({ symbolRates: [{ symbol: 'ETH', makerRate: 0, takerRate: 0.003 }] });
+    const quote = await quoteFee(userId, { symbol: 'eth', amount: 2, price: 1000 });
+
+    assert.equal(quote.fee, 6);
+    assert.equal(quote.symbolRate, true);
+    assert.equal(quote.tier, undefined);
+    assert.equal(Transaction.getTransactionStats.mock.callCount(), 0);
+  });
+
+  it('applies the biggest running promotion for the symbol', async () => {
+    schedule = buildSchedule({
+      promotions: [
+        promotion(0.25),
+        promotion(0.5, ['BTC']),
+        promotion(0.9, ['ETH']),
+        promotion(1, [], { startsAt: new Date(Date.now() - 2 * DAY), endsAt: new Date(Date.now() - DAY) })
+      ]
+    });
+    const quote = await quoteFee(userId, { symbol: 'BTC', amount: 1, price: 10000 });
+
+    assert.equal(quote.fee, 10);
+    assert.equal(quote.rate, 0.002);
+    assert.equal(quote.effectiveRate, 0.001);
+    assert.equal(quote.promotion.discount, 0.5);
+  });
+
+  it('raises small fees to the minimum but leaves waived fees at zero', async () => {
+    schedule = buildSchedule({ minimumFee: 1 });
+    const small = await quoteFee(userId, { symbol: 'BTC', amount: 0.001, price: 10000 });
+
+    assert.equal(small.fee, 1);
+    assert.equal(small.minimumFeeApplied, true);
+
+    invalidateFeeSchedule();
+    schedule = buildSchedule({ minimumFee: 1, promotions: [promotion(1)] });
+    const waived = await quoteFee(userId, { symbol: 'BTC', amount: 0.001, price: 10000 });
+
+    assert.equal(waived.fee, 0);
+    assert.equal(waived.minimumFeeApplied, false);
+  });
+});
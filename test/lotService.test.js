@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+import TaxLot from '../models/TaxLot.js';
+import Transaction from '../models/Transaction.js';
+import { consumeLots } from '../services/lotService.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+const query = value => {
+  const chain = {
+    session: () => chain,
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// An open lot as loaded from the database
+const lot = (acquiredAt, amount, costPerUnit) => TaxLot.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  symbol: 'BTC',
+  acquiredAt: new Date(acquiredAt),
+  originalAmount: amount,
+  remainingAmount: amount,
+  costPerUnit
+});
+
+describe('consumeLots', () => {
+  let portfolio;
+  let lots;
+
+  beforeEach(() => {
+    portfolio = new Portfolio({ userId, name: 'Main', isDefault: true });
+    lots = [
+      lot('2024-01-01', 1, 100),
+      lot('2024-02-01', 1, 300),
+      lot('2024-03-01', 1, 200)
+    ];
+    mock.method(TaxLot, 'find', () => query(lots));
+    mock.method(TaxLot.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const sell = (method, amount = 1.5, heldAmount = 3, averagePrice = 200) =>
+    consumeLots(null, { userId, portfolio, symbol: 'BTC', amount, method, heldAmount, averagePrice });
+
+  it('uses up the oldest lots first with FIFO', async () => {
+    const { costBasis, lots: consumed } = await sell('fifo');
+
+    assert.equal(costBasis, 250);
+    assert.deepEqual(consumed.map(entry => [entry.amount, entry.costPerUnit]), [[1, 100], [0.5, 300]]);
+    assert.equal(lots[0].remainingAmount, 0);
+    assert.ok(lots[0].closedAt);
+    assert.equal(lots[1].remainingAmount, 0.5);
+    assert.equal(lots[1].closedAt, undefined);
+  });
+
+  it('uses up the newest lots first with LIFO', async () => {
+    const { costBasis } = await sell('lifo');
+
+    assert.equal(costBasis, 350);
+    assert.equal(lots[2].remainingAmount, 0);
+    assert.equal(lots[1].remainingAmount, 0.5);
+    assert.equal(lots[0].remainingAmount, 1);
+  });
+
+  it('uses up the most expensive lots first with HIFO', async () => {
+    const { costBasis } = await sell('hifo');
+
+    assert.equal(costBasis, 400);
+    assert.equal(lots[1].remainingAmount, 0);
+    assert.equal(lots[2].remainingAmount, 0.5);
+    assert.equal(lots[0].remainingAmount, 1);
+  });
+
+  it('takes the same fraction of every lot with average cost', async () => {
+    const { costBasis, lots: consumed } = await sell('average');
+
+    assert.equal(costBasis, 300);
+    assert.deepEqual(consumed.map(entry => entry.amount), [0.5, 0.5, 0.5]);
+    assert.ok(lots.every(l => l.remainingAmount === 0.5));
+  });
+
+  it('saves only the lots it changed', async () => {
+    await sell('fifo', 0.5);
+
+    assert.equal(TaxLot.prototype.save.mock.callCount(), 1);
+  });
+
+  it('covers holdings without lots with a legacy lot at the average price', async () => {
+    const firstBuyAt = new Date('2023-06-01');
+    mock.method(Transaction, 'findOne', () => query({ createdAt: firstBuyAt }));
+    mock.method(TaxLot, 'create', async ([doc]) => [new TaxLot(doc)]);
+
+    const { costBasis, lots: consumed } = await sell('fifo', 1.5, 4, 50);
+
+    const [legacy] = TaxLot.create.mock.calls[0].arguments[0];
+    assert.equal(legacy.source, 'legacy');
+    assert.equal(legacy.originalAmount, 1);
+    assert.equal(legacy.costPerUnit, 50);
+    assert.deepEqual(legacy.acquiredAt, firstBuyAt);
+    assert.equal(costBasis, 100);
+    assert.deepEqual(consumed.map(entry => [entry.amount, entry.costPerUnit]), [[1, 50], [0.5, 100]]);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextOccurrence } from '../services/recurringPlanService.js';
+
+const at = iso => new Date(iso);
+
+describe('nextOccurrence', () => {
+  it('runs at the start when it has not passed', () => {
+    const plan = { startAt: at('2025-01-06T09:00:00Z'), cadence: 'weekly' };
+
+    assert.deepEqual(nextOccurrence(plan, at('2025-01-01T00:00:00Z')), at('2025-01-06T09:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-01-06T09:00:00Z')), at('2025-01-06T09:00:00Z'));
+  });
+
+  it('steps daily, weekly and biweekly plans from the start', () => {
+    const startAt = at('2025-01-06T09:00:00Z');
+    const after = at('2025-01-20T09:00:01Z');
+
+    assert.deepEqual(nextOccurrence({ startAt, cadence: 'daily' }, after), at('2025-01-21T09:00:00Z'));
+    assert.deepEqual(nextOccurrence({ startAt, cadence: 'weekly' }, after), at('2025-01-27T09:00:00Z'));
+    assert.deepEqual(nextOccurrence({ startAt, cadence: 'biweekly' }, after), at('2025-02-03T09:00:00Z'));
+  });
+
+  it('keeps the day of the month for monthly plans', () => {
+    const plan = { startAt: at('2025-01-15T12:00:00Z'), cadence: 'monthly' };
+
+    assert.deepEqual(nextOccurrence(plan, at('2025-03-15T12:00:00Z')), at('2025-03-15T12:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-03-15T12:00:01Z')), at('2025-04-15T12:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-12-20T00:00:00Z')), at('2026-01-15T12:00:00Z'));
+  });
+
+  it('falls back to the last day in shorter months', () => {
+    const plan = { startAt: at('2024-01-31T08:00:00Z'), cadence: 'monthly' };
+
+    assert.deepEqual(nextOccurrence(plan, at('2024-02-01T00:00:00Z')), at('2024-02-29T08:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-02-01T00:00:00Z')), at('2025-02-28T08:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-03-01T00:00:00Z')), at('2025-03-31T08:00:00Z'));
+    assert.deepEqual(nextOccurrence(plan, at('2025-04-01T00:00:00Z')), at('2025-04-30T08:00:00Z'));
+  });
+
+  it('returns null once the next run would be after the end', () => {
+    const plan = { startAt: at('2025-01-06T09:00:00Z'), cadence: 'weekly', endAt: at('2025-01-20T09:00:00Z') };
+
+    assert.deepEqual(nextOccurrence(plan, at('2025-01-14T00:00:00Z')), at('2025-01-20T09:00:00Z'));
+    assert.equal(nextOccurrence(plan, at('2025-01-20T09:00:01Z')), null);
+  });
+});
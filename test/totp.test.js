@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode
+} from '../utils/totp.js';
+
+// The SHA1 seed from RFC 6238 appendix B, "12345678901234567890" in ASCII
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// Appendix B test vectors (seconds since the epoch -> code). The RFC lists
+// 8-digit codes; 6-digit codes are their last six digits.
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  it('round-trips secrets through base32', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+    assert.deepEqual(base32Decode('gezd gnbv'), base32Decode('GEZDGNBV'));
+  });
+
+  it('rejects invalid base32', () => {
+    assert.throws(() => base32Decode('GEZD1'), /Invalid base32 character/);
+  });
+
+  it('generates 160-bit secrets', () => {
+    const secret = generateSecret();
+    assert.equal(base32Decode(secret).length, 20);
+    assert.notEqual(secret, generateSecret());
+  });
+
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(generateCode(RFC_SECRET, currentStep(seconds * 1000)), code);
+    });
+  }
+
+  it('accepts codes within the drift window and returns their step', () => {
+    const time = 1111111111 * 1000;
+    const step = currentStep(time);
+
+    assert.equal(verifyCode(RFC_SECRET, '050471', { time }), step);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time, window: 2 }), step + 2);
+  });
+
+  it('rejects malformed codes', () => {
+    const time = 1111111111 * 1000;
+
+    assert.equal(verifyCode(RFC_SECRET, '050 471', { time }), currentStep(time));
+    assert.equal(verifyCode(RFC_SECRET, '05047', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined, { time }), null);
+  });
+});
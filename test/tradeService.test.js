@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+import TaxLot from '../models/TaxLot.js';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import { applyTrade, TradeError } from '../services/tradeService.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+const query = value => {
+  const chain = {
+    session: () => chain,
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('applyTrade', () => {
+  let portfolio;
+  let lots;
+  let transactions;
+
+  beforeEach(() => {
+    portfolio = new Portfolio({ userId, name: 'Main', isDefault: true, cashBalance: 1000 });
+    lots = [];
+    transactions = [];
+
+    mock.method(Portfolio, 'findForUser', async () => portfolio);
+    mock.method(Portfolio.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(User, 'findById', () => query({ preferences: { costBasisMethod: 'fifo' } }));
+    mock.method(TaxLot, 'find', () => query(lots.filter(l => !l.closedAt)));
+    mock.method(TaxLot, 'create', async docs => {
+      const created = docs.map(doc => new TaxLot(doc));
+      lots.push(...created);
+      return created;
+    });
+    mock.method(TaxLot.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Transaction, 'create', async docs => {
+      const created = docs.map(doc => new Transaction(doc));
+      transactions.push(...created);
+      return created;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const trade = (type, amount, price, fee = 0) =>
+    applyTrade(null, { userId, type, symbol: 'btc', name: 'Bitcoin', amount, price, fee });
+
+  it('pays for a buy from cash and opens a lot that includes the fee', async () => {
+    const { transaction } = await trade('buy', 2, 100, 1);
+
+    assert.equal(portfolio.cashBalance, 799);
+    assert.equal(portfolio.holdings.length, 1);
+    assert.equal(portfolio.holdings[0].symbol, 'BTC');
+    assert.equal(portfolio.holdings[0].amount, 2);
+    assert.equal(portfolio.holdings[0].averagePrice, 100);
+
+    assert.equal(transaction.type, 'buy');
+    assert.equal(transaction.total, 201);
+    assert.equal(transaction.status, 'completed');
+    assert.equal(transaction.simulated, false);
+    assert.ok(transaction.portfolioId.equals(portfolio._id));
+
+    assert.equal(lots.length, 1);
+    assert.equal(lots[0].costPerUnit, 100.5);
+    assert.ok(lots[0].transactionId.equals(transaction._id));
+  });
+
+  it('rejects a buy the cash balance does not cover', async () => {
+    await assert.rejects(trade('buy', 10, 100, 1), error => {
+      assert.ok(error instanceof TradeError);
+      assert.equal(error.status, 400);
+      assert.equal(error.message, 'Insufficient cash balance');
+      return true;
+    });
+
+    assert.equal(portfolio.cashBalance, 1000);
+    assert.equal(portfolio.holdings.length, 0);
+    assert.equal(Portfolio.prototype.save.mock.callCount(), 0);
+    assert.equal(transactions.length, 0);
+  });
+
+  it('credits sale proceeds and records the realized gain', async () => {
+    await trade('buy', 2, 100);
+    const { transaction } = await trade('sell', 1, 150, 1);
+
+    assert.equal(portfolio.cashBalance, 949);
+    assert.equal(portfolio.holdings[0].amount, 1);
+
+    assert.equal(transaction.type, 'sell');
+    assert.equal(transaction.total, 149);
+    assert.equal(transaction.costBasis, 100);
+    assert.equal(transaction.realizedGain, 49);
+    assert.equal(transaction.costBasisMethod, 'fifo');
+    assert.equal(lots[0].remainingAmount, 1);
+  });
+
+  it('removes the holding when all of it is sold', async () => {
+    await trade('buy', 2, 100);
+    await trade('sell', 2, 100);
+
+    assert.equal(portfolio.cashBalance, 1000);
+    assert.equal(portfolio.holdings.length, 0);
+    assert.ok(lots[0].closedAt);
+  });
+
+  it('rejects a sell of more than is held', async () => {
+    await trade('buy', 1, 100);
+
+    await assert.rejects(trade('sell', 1.5, 100), error => {
+      assert.ok(error instanceof TradeError);
+      assert.equal(error.message, 'Insufficient holdings to sell');
+      return true;
+    });
+
+    assert.equal(portfolio.cashBalance, 900);
+    assert.equal(portfolio.holdings[0].amount, 1);
+    assert.equal(transactions.length, 1);
+  });
+
+  it('rejects a sell of a symbol that is not held', async () => {
+    await assert.rejects(trade('sell', 1, 100), {
+      name: 'TradeError',
+      message: 'Insufficient holdings to sell'
+    });
+
+    assert.equal(portfolio.cashBalance, 1000);
+    assert.equal(transactions.length, 0);
+  });
+
+  it('rejects trades in a portfolio the user does not own', async () => {
+    portfolio = null;
+
+    await assert.rejects(trade('buy', 1, 100), { name: 'TradeError', status: 404 });
+  });
+});
@@ -0,0 +1,92 @@
+// Minimal RFC 4180 CSV writer for exports.
+
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Leading =, +, - or @ would be evaluated as a formula by spreadsheet apps
+  const safe = /^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// `columns` is a list of { header, value } where value is a key of the row or a
+// function of it. Lines end with CRLF.
+export function csvHeader(columns) {
+  return columns.map(column => formatCell(column.header)).join(',') + '\r\n';
+}
+
+export function csvRow(row, columns) {
+  return columns.map(column => formatCell(
+    typeof column.value === 'function' ? column.value(row) : row[column.value]
+  )).join(',') + '\r\n';
+}
+
+export function toCsv(rows, columns) {
+  return csvHeader(columns) + rows.map(row => csvRow(row, columns)).join('');
+}
+
+// Parse CSV text into records keyed by header. Handles quoted fields with
+// embedded commas, quotes and newlines, CRLF or LF line endings and a UTF-8 BOM.
+// Each record also carries its 1-based source line as `__line`.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  const nonEmpty = rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = nonEmpty[0].cells.map(header => header.trim());
+  const records = nonEmpty.slice(1).map(({ cells, line: sourceLine }) => {
+    const record = { __line: sourceLine };
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
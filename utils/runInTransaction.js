@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const WRITE_CONFLICT = 112;
+
+// Errors worth retrying the whole unit of work for: optimistic-concurrency
+// version mismatches and MongoDB write conflicts / transient transaction errors.
+function isRetryable(error) {
+  return error instanceof mongoose.Error.VersionError
+    || error.code === WRITE_CONFLICT
+    || (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `work(session)` inside a MongoDB transaction, retrying on conflicts.
+// `work` must do all its reads and writes through the session it is given and be
+// safe to run again from scratch. Requires a replica set or sharded cluster.
+export default async function runInTransaction(work, { maxRetries = 5 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      // Short jittered backoff so competing requests don't collide again
+      await wait(10 * 2 ** attempt + Math.random() * 10);
+    } finally {
+      await session.endSession();
+    }
+  }
+}
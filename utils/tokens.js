@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+// Opaque single-use tokens (password reset, email verification, ...).
+// Only the SHA-256 hash is stored, so a database leak doesn't expose usable links.
+
+export const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+export function createToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+}